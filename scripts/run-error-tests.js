@@ -0,0 +1,183 @@
+import assert from "node:assert/strict";
+
+import { JustHTML, ParseError, StrictModeError } from "../src/index.js";
+
+function errorsOf(html, options = {}) {
+  return new JustHTML(html, { collectErrors: true, ...options }).errors;
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    return { name, ok: true };
+  } catch (err) {
+    return { name, ok: false, err };
+  }
+}
+
+const results = [];
+
+results.push(
+  test("tokenizer errors are collected with positions", () => {
+    const errors = errorsOf("<!DOCTYPE html><p id=a id=b>x</p>");
+    assert.equal(errors.length, 1);
+    assert.ok(errors[0] instanceof ParseError);
+    assert.equal(errors[0].code, "duplicate-attribute");
+    assert.equal(errors[0].line, 1);
+    assert.equal(errors[0].column, 28);
+    assert.equal(String(errors[0]), "(1,28): duplicate-attribute");
+  })
+);
+
+results.push(
+  test("unexpected-null-character", () => {
+    const errors = errorsOf("<!DOCTYPE html><p>a</p><!-- \0 -->");
+    assert.deepEqual(
+      errors.map((e) => [e.code, e.line, e.column]),
+      [["unexpected-null-character", 1, 29]]
+    );
+  })
+);
+
+results.push(
+  test("line and column account for CRLF and CR newlines", () => {
+    const errors = errorsOf("<!DOCTYPE html>\r\n<p>\r\r<b a='1'c>x</b>");
+    const error = errors.find((e) => e.code === "missing-whitespace-between-attributes");
+    assert.ok(error);
+    assert.equal(error.line, 4);
+    assert.equal(error.column, 9);
+  })
+);
+
+results.push(
+  test("errors at end of input point past the last character", () => {
+    const errors = errorsOf("<!DOCTYPE html></");
+    const error = errors.find((e) => e.code === "eof-before-tag-name");
+    assert.ok(error);
+    assert.equal(error.line, 1);
+    assert.equal(error.column, 18);
+  })
+);
+
+results.push(
+  test("errors are not collected by default", () => {
+    assert.equal(new JustHTML("<p id=a id=b>").errors.length, 0);
+  })
+);
+
+results.push(
+  test("strict mode rejects tokenizer errors", () => {
+    assert.throws(
+      () => new JustHTML("<!DOCTYPE html><p id=a id=b>x</p>", { strict: true }),
+      (err) => err instanceof StrictModeError && err.error.code === "duplicate-attribute"
+    );
+  })
+);
+
+results.push(
+  test("tree builder errors carry the span of the offending token", () => {
+    const errors = errorsOf("<!DOCTYPE html>\n<p>a</div>");
+    assert.equal(errors.length, 1);
+    const [error] = errors;
+    assert.equal(error.code, "unexpected-end-tag");
+    assert.equal(error.message, "unexpected-end-tag: div");
+    assert.deepEqual([error.line, error.column, error.endLine, error.endColumn], [2, 5, 2, 11]);
+  })
+);
+
+results.push(
+  test("end of file errors point at the end of input", () => {
+    const errors = errorsOf("<!DOCTYPE html><b>x");
+    assert.equal(errors.length, 1);
+    assert.deepEqual([errors[0].code, errors[0].line, errors[0].column], ["expected-closing-tag-but-got-eof", 1, 20]);
+  })
+);
+
+results.push(
+  test("foster-parented text points at the buffered table text", () => {
+    const errors = errorsOf("<!DOCTYPE html><table>x<tr>y</table>");
+    assert.deepEqual(
+      errors.map((e) => [e.code, e.column, e.endColumn]),
+      [
+        ["foster-parenting-character", 23, 24],
+        ["foster-parenting-character", 28, 29],
+      ]
+    );
+  })
+);
+
+results.push(
+  test("tokenizer and tree builder errors are in source order", () => {
+    const errors = errorsOf("<b id=a id=b>x");
+    assert.deepEqual(
+      errors.map((e) => [e.code, e.line, e.column]),
+      [
+        ["expected-doctype-but-got-start-tag", 1, 1],
+        ["duplicate-attribute", 1, 13],
+        ["expected-closing-tag-but-got-eof", 1, 15],
+      ]
+    );
+  })
+);
+
+results.push(
+  test("character reference errors point just past the reference", () => {
+    const codes = (html) => errorsOf(`<!DOCTYPE html>${html}`).map((e) => [e.code, e.line, e.column]);
+    assert.deepEqual(codes("&#0;"), [["null-character-reference", 1, 20]]);
+    assert.deepEqual(codes("&amp"), [["missing-semicolon-after-character-reference", 1, 20]]);
+    assert.deepEqual(codes("&bogus;"), [["unknown-named-character-reference", 1, 23]]);
+    assert.deepEqual(codes("&#xD800;"), [["surrogate-character-reference", 1, 24]]);
+    assert.deepEqual(codes("&#x;&#128;"), [
+      ["absence-of-digits-in-numeric-character-reference", 1, 19],
+      ["control-character-reference", 1, 26],
+    ]);
+    assert.deepEqual(codes("a\r\nb<p title='&#x110000;'>"), [["character-reference-outside-unicode-range", 2, 22]]);
+    assert.deepEqual(codes("<img src='?a=1&not=2'>"), []);
+  })
+);
+
+results.push(
+  test("input stream errors and nested comments", () => {
+    const codes = (html) => errorsOf(`<!DOCTYPE html>${html}`).map((e) => [e.code, e.column]);
+    assert.deepEqual(codes("a\u0001b\u007f\ufdd0\ud800"), [
+      ["control-character-in-input-stream", 17],
+      ["control-character-in-input-stream", 19],
+      ["noncharacter-in-input-stream", 20],
+      ["surrogate-in-input-stream", 21],
+    ]);
+    assert.deepEqual(codes("\u{1fffe}\u{1f600}"), [["noncharacter-in-input-stream", 16]]);
+    assert.deepEqual(codes("<!-- <!-- -->"), [["nested-comment", 25]]);
+    assert.deepEqual(codes("<!-- a -- b <!-->"), []);
+  })
+);
+
+results.push(
+  test("doctype, end tag and script comment-like text errors", () => {
+    const codes = (html) => errorsOf(html).map((e) => [e.code, e.column]);
+    assert.deepEqual(codes("<!DOCTYPE html foo>"), [["invalid-character-sequence-after-doctype-name", 16]]);
+    assert.deepEqual(codes("<!DOCTYPE html>x</a/>"), [["end-tag-with-trailing-solidus", 21]]);
+    for (const script of ["<script><!--", "<script><!-- a -", "<script><!--<script>x"]) {
+      const html = `<!DOCTYPE html>${script}`;
+      assert.deepEqual(
+        codes(html),
+        [
+          ["eof-in-script-html-comment-like-text", html.length + 1],
+          ["expected-named-closing-tag-but-got-eof", html.length + 1],
+        ],
+        script
+      );
+    }
+  })
+);
+
+const failed = results.filter((r) => !r.ok);
+if (failed.length) {
+  for (const r of failed) {
+    console.error(`errors FAIL: ${r.name}`);
+    console.error(r.err);
+  }
+  console.error(`errors: ${results.length - failed.length}/${results.length} passed, ${failed.length} failed`);
+  process.exit(1);
+}
+
+console.log(`errors: ${results.length}/${results.length} passed`);
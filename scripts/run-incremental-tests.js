@@ -0,0 +1,139 @@
+import assert from "node:assert/strict";
+
+import { JustHTML, JustHTMLParser, StrictModeError, toTestFormat } from "../src/index.js";
+
+const SAMPLES = [
+  "",
+  "<!DOCTYPE html><html><head><title>T &amp; x</title></head><body><p class=a>Hello<br/>world</p></body></html>",
+  '<!DOCTYPE html  PUBLIC "-//W3C//DTD HTML 4.01//EN" "http://www.w3.org/TR/html4/strict.dtd"><p>x',
+  "<table>text<tr><td>a<td>b</table><b><i>x</b>y</i>",
+  "<script>if (a < b) { x = '<!--<script>' }</script><style>p > b {}</style><textarea>\r\n</b></textarea>",
+  "line one\r\nline two\rline three\n<!-- c\r\n --><svg><![CDATA[a]]b]]></svg><math><mi>x</mi></math>",
+  "<p a=1 b='2' c=\"3\" d>&notin; &noti &#x41;</p><?pi><!x>",
+];
+
+function parseInChunks(html, size, options = {}) {
+  const parser = new JustHTMLParser(options);
+  for (let i = 0; i < html.length; i += size) parser.write(html.slice(i, i + size));
+  return parser.end();
+}
+
+function bytesInChunks(bytes, size, options = {}) {
+  const parser = new JustHTMLParser(options);
+  for (let i = 0; i < bytes.length; i += size) parser.write(bytes.subarray(i, i + size));
+  return parser.end();
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    return { name, ok: true };
+  } catch (err) {
+    return { name, ok: false, err };
+  }
+}
+
+const results = [];
+
+results.push(
+  test("chunked strings build the same tree as whole input", () => {
+    for (const html of SAMPLES) {
+      const expected = toTestFormat(new JustHTML(html).root);
+      for (const size of [1, 2, 5, 64]) {
+        assert.equal(toTestFormat(parseInChunks(html, size).root), expected, `chunk size ${size}: ${html}`);
+      }
+    }
+  })
+);
+
+results.push(
+  test("chunked input reports the same errors and locations", () => {
+    const options = { collectErrors: true, trackLocations: true };
+    for (const html of SAMPLES) {
+      const whole = new JustHTML(html, options);
+      const doc = parseInChunks(html, 1, options);
+      assert.deepEqual(doc.errors, whole.errors);
+      const locations = (d) => d.root.children.map((n) => n.sourceCodeLocation);
+      assert.deepEqual(locations(doc), locations(whole));
+    }
+  })
+);
+
+results.push(
+  test("tokens are processed before end()", () => {
+    const parser = new JustHTMLParser();
+    parser.write("<div><p>first paragraph</p><p>second para");
+    const open = parser.treeBuilder.open_elements.map((n) => n.name);
+    assert.deepEqual(open, ["html", "body", "div", "p"]);
+    parser.write("graph</p></div>");
+    const doc = parser.end();
+    assert.equal(doc.query("p")[1].toText(), "second paragraph");
+  })
+);
+
+results.push(
+  test("byte chunks split inside a multi-byte character", () => {
+    const bytes = new TextEncoder().encode("<p>café ☃</p>");
+    const doc = bytesInChunks(bytes, 1, { encoding: "utf-8" });
+    assert.equal(doc.encoding, "utf-8");
+    assert.equal(doc.query("p")[0].toText(), "café ☃");
+  })
+);
+
+results.push(
+  test("encoding sniffing waits for enough bytes", () => {
+    const encoder = new TextEncoder();
+    // 0xC5 is "Ĺ" in ISO-8859-2.
+    const bytes = new Uint8Array([...encoder.encode('<meta charset="iso-8859-2"><p>'), 0xc5, ...encoder.encode("</p>")]);
+
+    const parser = new JustHTMLParser();
+    parser.write(bytes.subarray(0, 10));
+    assert.equal(parser.encoding, null);
+    parser.write(bytes.subarray(10));
+    const doc = parser.end();
+    assert.equal(doc.encoding, "iso-8859-2");
+    assert.equal(doc.query("p")[0].toText(), "Ĺ");
+
+    const bom = new Uint8Array([0xef, 0xbb, 0xbf, ...encoder.encode("<p>é</p>")]);
+    const fromBom = bytesInChunks(bom, 1);
+    assert.equal(fromBom.encoding, "utf-8");
+    assert.equal(fromBom.query("p")[0].toText(), "é");
+  })
+);
+
+results.push(
+  test("string and byte chunks cannot be mixed", () => {
+    const parser = new JustHTMLParser();
+    parser.write("<p>");
+    assert.throws(() => parser.write(new Uint8Array([0x61])), TypeError);
+  })
+);
+
+results.push(
+  test("end() finishes the document and closes the parser", () => {
+    const parser = new JustHTMLParser({ strict: true });
+    parser.write("<!DOCTYPE html><p>ok");
+    assert.throws(() => parser.end("<p id=a id=b>"), StrictModeError);
+    assert.throws(() => parser.write("<p>"), Error);
+  })
+);
+
+results.push(
+  test("chunked parsing reports the same quirks mode", () => {
+    for (const html of ['<!DOCTYPE html PUBLIC "-//W3C//DTD HTML 4.01 Transitional//EN">', "<!DOCTYPE html>", "<p>"]) {
+      assert.equal(parseInChunks(html, 3).quirksMode, new JustHTML(html).quirksMode, html);
+    }
+  })
+);
+
+const failed = results.filter((r) => !r.ok);
+if (failed.length) {
+  for (const r of failed) {
+    console.error(`incremental FAIL: ${r.name}`);
+    console.error(r.err);
+  }
+  console.error(`incremental: ${results.length - failed.length}/${results.length} passed, ${failed.length} failed`);
+  process.exit(1);
+}
+
+console.log(`incremental: ${results.length}/${results.length} passed`);
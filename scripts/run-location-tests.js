@@ -0,0 +1,131 @@
+import assert from "node:assert/strict";
+
+import { JustHTML, query } from "../src/index.js";
+
+function parse(html) {
+  return new JustHTML(html, { trackLocations: true });
+}
+
+function source(html, location) {
+  return html.slice(location.startOffset, location.endOffset);
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    return { name, ok: true };
+  } catch (err) {
+    return { name, ok: false, err };
+  }
+}
+
+const results = [];
+
+results.push(
+  test("element start tag, end tag and attributes", () => {
+    const html = '<!DOCTYPE html><p class="intro" id=a>Hello</p>';
+    const p = query(parse(html).root, "p")[0];
+    const loc = p.sourceCodeLocation;
+    assert.equal(source(html, loc), '<p class="intro" id=a>Hello</p>');
+    assert.equal(source(html, loc.startTag), '<p class="intro" id=a>');
+    assert.equal(source(html, loc.endTag), "</p>");
+    assert.equal(source(html, loc.attrs.class), 'class="intro"');
+    assert.equal(source(html, loc.attrs.id), "id=a");
+  })
+);
+
+results.push(
+  test("line and column positions", () => {
+    const html = "<!DOCTYPE html>\n<div>\n  <span>x</span>\n</div>";
+    const span = query(parse(html).root, "span")[0];
+    const loc = span.sourceCodeLocation;
+    assert.deepEqual(
+      [loc.startLine, loc.startColumn, loc.endLine, loc.endColumn],
+      [3, 3, 3, 17]
+    );
+    assert.deepEqual([loc.startTag.endLine, loc.startTag.endColumn], [3, 9]);
+  })
+);
+
+results.push(
+  test("implied elements have no source location", () => {
+    const doc = parse("<table><tr><td>x</td></tr></table>");
+    for (const name of ["html", "head", "body", "tbody"]) {
+      assert.equal(query(doc.root, name)[0].sourceCodeLocation, null, name);
+    }
+    assert.notEqual(query(doc.root, "tr")[0].sourceCodeLocation, null);
+  })
+);
+
+results.push(
+  test("implicitly closed elements end where the closing token starts", () => {
+    const html = "<!DOCTYPE html><ul><li>one<li>two</ul>";
+    const items = query(parse(html).root, "li");
+    assert.equal(source(html, items[0].sourceCodeLocation), "<li>one");
+    assert.equal(items[0].sourceCodeLocation.endTag, null);
+    assert.equal(source(html, items[1].sourceCodeLocation), "<li>two");
+  })
+);
+
+results.push(
+  test("void and self-closing foreign elements", () => {
+    const html = '<!DOCTYPE html><img src=x alt><svg viewBox="0 0 1 1"><circle r=1 /></svg>';
+    const doc = parse(html);
+    const img = query(doc.root, "img")[0];
+    assert.equal(source(html, img.sourceCodeLocation), "<img src=x alt>");
+    assert.equal(source(html, img.sourceCodeLocation.attrs.alt), "alt");
+    const svg = query(doc.root, "svg")[0];
+    assert.equal(source(html, svg.sourceCodeLocation.attrs.viewBox), 'viewBox="0 0 1 1"');
+    assert.equal(source(html, svg.children[0].sourceCodeLocation), "<circle r=1 />");
+  })
+);
+
+results.push(
+  test("text, comment and doctype nodes", () => {
+    const html = "<!DOCTYPE html><p>a &amp; b<!--c--></p>";
+    const doc = parse(html);
+    assert.equal(source(html, doc.root.children[0].sourceCodeLocation), "<!DOCTYPE html>");
+    const p = query(doc.root, "p")[0];
+    assert.equal(source(html, p.children[0].sourceCodeLocation), "a &amp; b");
+    assert.equal(source(html, p.children[1].sourceCodeLocation), "<!--c-->");
+  })
+);
+
+results.push(
+  test("text ends before characters the tokenizer reconsumes", () => {
+    const html = "a<<b>x</b><title>t</b</title>";
+    const doc = parse(html);
+    const body = query(doc.root, "body")[0];
+    assert.equal(source(html, body.children[0].sourceCodeLocation), "a<");
+    const title = query(doc.root, "title")[0];
+    assert.equal(source(html, title.children[0].sourceCodeLocation), "t</b");
+  })
+);
+
+results.push(
+  test("offsets index the input including a leading BOM", () => {
+    const html = "\ufeff<p>x</p>";
+    const loc = query(parse(html).root, "p")[0].sourceCodeLocation;
+    assert.equal(source(html, loc), "<p>x</p>");
+    assert.equal(loc.startColumn, 1);
+  })
+);
+
+results.push(
+  test("locations are not tracked by default", () => {
+    const doc = new JustHTML("<p>x</p>");
+    assert.equal(query(doc.root, "p")[0].sourceCodeLocation, null);
+  })
+);
+
+const failed = results.filter((r) => !r.ok);
+if (failed.length) {
+  for (const r of failed) {
+    console.error(`locations FAIL: ${r.name}`);
+    console.error(r.err);
+  }
+  console.error(`locations: ${results.length - failed.length}/${results.length} passed, ${failed.length} failed`);
+  process.exit(1);
+}
+
+console.log(`locations: ${results.length}/${results.length} passed`);
@@ -0,0 +1,235 @@
+import assert from "node:assert/strict";
+
+import { JustHTML, Node } from "../src/index.js";
+
+function test(name, fn) {
+  try {
+    fn();
+    return { name, ok: true };
+  } catch (err) {
+    return { name, ok: false, err };
+  }
+}
+
+function names(nodes) {
+  return [...nodes].map((node) => node.attrs?.id ?? node.name);
+}
+
+const results = [];
+
+results.push(
+  test("siblings and element-only children", () => {
+    const doc = new JustHTML("<ul id=u>one<li id=a></li><!--c--><li id=b></li>two</ul>");
+    const ul = doc.queryOne("ul");
+    const [a, b] = doc.query("li");
+
+    assert.equal(ul.firstChild.data, "one");
+    assert.equal(ul.lastChild.data, "two");
+    assert.equal(ul.firstElementChild, a);
+    assert.equal(ul.lastElementChild, b);
+    assert.equal(ul.childElementCount, 2);
+    assert.deepEqual([a.index, b.index], [1, 3]);
+
+    assert.equal(a.previousSibling, ul.firstChild);
+    assert.equal(a.nextSibling.name, "#comment");
+    assert.equal(a.nextElementSibling, b);
+    assert.equal(b.previousElementSibling, a);
+    assert.equal(a.previousElementSibling, null);
+    assert.equal(b.nextElementSibling, null);
+    assert.equal(ul.lastChild.nextSibling, null);
+
+    const detached = new Node("p");
+    assert.equal(detached.index, -1);
+    assert.deepEqual([detached.nextSibling, detached.previousElementSibling, detached.firstChild], [null, null, null]);
+  })
+);
+
+results.push(
+  test("ancestors and descendants", () => {
+    const doc = new JustHTML("<div id=d><p id=p><b id=b>x</b></p><template id=t><i id=i></i></template></div>");
+    const b = doc.queryOne("b");
+    assert.deepEqual(names(b.ancestors()), ["p", "d", "body", "html", "#document"]);
+
+    const div = doc.queryOne("div");
+    assert.deepEqual(names(div.descendants()), ["p", "b", "#text", "t"]);
+    assert.deepEqual(names(div.descendants({ includeTemplateContent: true })), ["p", "b", "#text", "t", "i"]);
+
+    const i = doc.queryOne("template").templateContent.children[0];
+    assert.deepEqual(names(i.ancestors()), ["#document-fragment"]);
+
+    const iterator = doc.root.descendants();
+    assert.equal(iterator.next().value.name, "html");
+  })
+);
+
+results.push(
+  test("contains and compareDocumentPosition", () => {
+    const doc = new JustHTML("<div id=d><p id=p><b id=b></b></p><i id=i></i></div>");
+    const [div, p, b, i] = ["div", "p", "b", "i"].map((name) => doc.queryOne(name));
+
+    assert.ok(div.contains(b));
+    assert.ok(b.contains(b));
+    assert.ok(!b.contains(div));
+    assert.ok(!p.contains(i));
+    assert.ok(!p.contains(null));
+
+    assert.equal(b.compareDocumentPosition(b), 0);
+    assert.equal(b.compareDocumentPosition(i), Node.DOCUMENT_POSITION_FOLLOWING);
+    assert.equal(i.compareDocumentPosition(b), Node.DOCUMENT_POSITION_PRECEDING);
+    assert.equal(b.compareDocumentPosition(div), Node.DOCUMENT_POSITION_CONTAINS | Node.DOCUMENT_POSITION_PRECEDING);
+    const containedBy = Node.DOCUMENT_POSITION_CONTAINED_BY | Node.DOCUMENT_POSITION_FOLLOWING;
+    assert.equal(div.compareDocumentPosition(b), containedBy);
+
+    const other = new Node("p");
+    const forward = b.compareDocumentPosition(other);
+    const backward = other.compareDocumentPosition(b);
+    assert.ok(forward & Node.DOCUMENT_POSITION_DISCONNECTED);
+    assert.ok(forward & Node.DOCUMENT_POSITION_IMPLEMENTATION_SPECIFIC);
+    const ordering = Node.DOCUMENT_POSITION_PRECEDING | Node.DOCUMENT_POSITION_FOLLOWING;
+    assert.equal((forward & ordering) ^ (backward & ordering), ordering);
+  })
+);
+
+results.push(
+  test("attribute accessors respect foreign namespaces", () => {
+    const doc = new JustHTML('<p id=x title=T>t</p><svg viewBox="0 0 1 1"><use xlink:href=#a /></svg>');
+    const [p, svg] = [doc.queryOne("p"), doc.queryOne("svg")];
+
+    assert.deepEqual([p.tagName, p.localName, svg.tagName], ["P", "p", "svg"]);
+    assert.equal(doc.queryOne("p").firstChild.tagName, null);
+    assert.deepEqual([p.getAttribute("TITLE"), p.hasAttribute("Id"), p.getAttribute("lang")], ["T", true, null]);
+    assert.equal(svg.getAttribute("viewBox"), "0 0 1 1");
+    assert.equal(svg.getAttribute("viewbox"), null);
+    assert.equal(doc.queryOne("use").getAttribute("xlink:href"), "#a");
+
+    p.setAttribute("DIR", "rtl");
+    svg.setAttribute("preserveAspectRatio", "none");
+    p.removeAttribute("Title");
+    assert.deepEqual(p.attrs, { id: "x", dir: "rtl" });
+    assert.equal(svg.attrs.preserveAspectRatio, "none");
+
+    assert.equal(p.toggleAttribute("hidden"), true);
+    assert.equal(p.attrs.hidden, "");
+    assert.equal(p.toggleAttribute("hidden", true), true);
+    assert.equal(p.toggleAttribute("hidden"), false);
+    assert.ok(!p.hasAttribute("hidden"));
+
+    assert.equal(p.id, "x");
+    p.id = "y";
+    assert.equal(p.attrs.id, "y");
+    assert.equal(svg.id, "");
+  })
+);
+
+results.push(
+  test("classList and dataset write back to attrs", () => {
+    const p = new JustHTML('<p class="a  b a" data-user-id=7 data-x=1>t</p>').queryOne("p");
+    const classes = p.classList;
+    assert.deepEqual([...classes], ["a", "b"]);
+    assert.deepEqual([classes.length, classes.item(1), classes.contains("b")], [2, "b", true]);
+
+    classes.add("c", "a");
+    assert.equal(p.attrs.class, "a b c");
+    classes.remove("a");
+    assert.equal(p.classList.toggle("b"), false);
+    assert.equal(p.classList.toggle("d", true), true);
+    assert.equal(p.attrs.class, "c d");
+    assert.equal(classes.replace("c", "e"), true);
+    assert.equal(String(classes), "e d");
+    assert.throws(() => classes.add("two words"));
+
+    const bare = new Node("div");
+    bare.classList.remove("x");
+    assert.ok(!bare.hasAttribute("class"));
+    bare.classList.add("x");
+    assert.deepEqual(bare.attrs, { class: "x" });
+
+    assert.deepEqual({ ...p.dataset }, { userId: "7", x: "1" });
+    assert.equal(p.dataset.userId, "7");
+    assert.ok("x" in p.dataset);
+    assert.equal(p.dataset.missing, undefined);
+    p.dataset.fooBar = 3;
+    delete p.dataset.x;
+    assert.equal(p.attrs["data-foo-bar"], "3");
+    assert.ok(!p.hasAttribute("data-x"));
+  })
+);
+
+results.push(
+  test("innerHTML parses in the element's context", () => {
+    const doc = new JustHTML("<table><tbody id=b></tbody></table><template id=t></template><svg></svg><p id=p></p>");
+    const tbody = doc.queryOne("tbody");
+    tbody.innerHTML = "<tr><td>1</td></tr>";
+    assert.equal(tbody.innerHTML, "<tr><td>1</td></tr>");
+    assert.equal(doc.queryOne("td").parent.parent, tbody);
+
+    const template = doc.queryOne("template");
+    template.innerHTML = "<td>x</td>";
+    assert.equal(template.children.length, 0);
+    assert.equal(template.templateContent.children[0].name, "td");
+    assert.equal(template.outerHTML, '<template id="t"><td>x</td></template>');
+
+    const svg = doc.queryOne("svg");
+    svg.innerHTML = "<foreignObject><p>x</p></foreignObject><rect/>";
+    assert.deepEqual(
+      svg.children.map((child) => [child.name, child.namespace]),
+      [
+        ["foreignObject", "svg"],
+        ["rect", "svg"],
+      ]
+    );
+    assert.equal(svg.outerHTML, "<svg><foreignObject><p>x</p></foreignObject><rect></rect></svg>");
+
+    const textarea = new Node("textarea");
+    textarea.innerHTML = "a &amp; <b>";
+    assert.equal(textarea.textContent, "a & <b>");
+    assert.throws(() => {
+      new Node("#text", { data: "x" }).innerHTML = "<b>";
+    });
+  })
+);
+
+results.push(
+  test("outerHTML replaces the node and textContent its children", () => {
+    const doc = new JustHTML("<ul><li id=a>a</li><li id=b>b&nbsp;<i>c</i><template>t</template></li></ul>");
+    const ul = doc.queryOne("ul");
+    assert.equal(ul.outerHTML, '<ul><li id="a">a</li><li id="b">b&nbsp;<i>c</i><template>t</template></li></ul>');
+    assert.equal(ul.textContent, "ab\u00a0c");
+
+    const a = doc.queryOne("#a");
+    a.outerHTML = "<li>1</li>two<li>3";
+    assert.equal(a.parent, null);
+    assert.equal(ul.innerHTML, '<li>1</li>two<li>3</li><li id="b">b&nbsp;<i>c</i><template>t</template></li>');
+    assert.ok(ul.children.every((child) => child.parent === ul));
+
+    const detached = new Node("p");
+    detached.outerHTML = "<b>x</b>";
+    assert.equal(detached.outerHTML, "<p></p>");
+    assert.throws(() => {
+      doc.root.children.find((child) => child.name === "html").outerHTML = "<p>";
+    });
+
+    const b = doc.queryOne("#b");
+    b.textContent = "<now plain>";
+    assert.equal(b.outerHTML, '<li id="b">&lt;now plain&gt;</li>');
+    b.textContent = "";
+    assert.equal(b.children.length, 0);
+
+    const comment = new Node("#comment", { data: "c" });
+    comment.textContent = "d";
+    assert.equal(comment.textContent, "d");
+    assert.equal(doc.root.textContent, null);
+  })
+);
+
+const failed = results.filter((r) => !r.ok);
+if (failed.length) {
+  for (const r of failed) {
+    console.error(`node FAIL: ${r.name}`);
+    console.error(r.err);
+  }
+  console.error(`node: ${results.length - failed.length}/${results.length} passed, ${failed.length} failed`);
+  process.exit(1);
+}
+
+console.log(`node: ${results.length}/${results.length} passed`);
@@ -0,0 +1,230 @@
+import assert from "node:assert/strict";
+
+import { JustHTML, SelectorError, rewrite } from "../src/index.js";
+
+function test(name, fn) {
+  try {
+    fn();
+    return { name, ok: true };
+  } catch (err) {
+    return { name, ok: false, err };
+  }
+}
+
+const results = [];
+
+results.push(
+  test("untouched markup is copied byte for byte", () => {
+    const html = '﻿<!DOCTYPE html>\r\n<P  Class = "a">x &amp; y</>\n<br/><!-- c --><div';
+    assert.equal(rewrite(html, {}), html);
+    const noop = { element() {}, text() {}, comments() {} };
+    assert.equal(rewrite(html, { "*": noop, p: noop }), html);
+  })
+);
+
+results.push(
+  test("changed start tags keep unchanged attributes as written", () => {
+    const out = rewrite("<a href='/x'  data-id=7 target=_blank>link</a>", {
+      "a[href^='/']": {
+        element(el) {
+          el.setAttribute("href", `https://example.com${el.getAttribute("href")}`);
+          el.removeAttribute("target");
+          el.setAttribute("title", 'say "hi" & bye');
+        },
+      },
+    });
+    assert.equal(out, `<a href="https://example.com/x" data-id=7 title="say &quot;hi&quot; &amp; bye">link</a>`);
+  })
+);
+
+results.push(
+  test("element content edits", () => {
+    const html = "<ul><li>one</li><li class=x>two</li><li>three</li></ul><p>keep</p><div>gone</div><span>old</span>";
+    const out = rewrite(html, {
+      "ul > li:first-child": { element: (el) => el.prepend("<b>", { html: true }).append("</b>", { html: true }) },
+      "li.x": {
+        element(el) {
+          el.tagName = "em";
+          el.before("[").after("]");
+        },
+      },
+      "ul > li:nth-child(3)": { element: (el) => el.setInnerContent("3 < 4") },
+      p: { element: (el) => el.removeAndKeepContent() },
+      div: { element: (el) => el.remove() },
+      span: { element: (el) => el.replace("<i>new</i>", { html: true }) },
+    });
+    assert.equal(out, "<ul><li><b>one</b></li>[<em class=x>two</em>]<li>3 &lt; 4</li></ul>keep<i>new</i>");
+  })
+);
+
+results.push(
+  test("text and comment handlers see the content of matched elements", () => {
+    const html = "<p>Hi &amp; <b>bye</b><!--a--></p>x<!--b--><script>a<b</script>";
+    const seen = [];
+    const out = rewrite(html, {
+      p: {
+        text(chunk) {
+          seen.push(chunk.text);
+          chunk.replace(chunk.text.toUpperCase());
+        },
+        comments(comment) {
+          comment.text = comment.text.repeat(2);
+        },
+      },
+      script: { text: (chunk) => chunk.after("/*x*/", { html: true }) },
+    });
+    assert.deepEqual(seen, ["Hi & ", "bye"]);
+    assert.equal(out, "<p>HI &amp; <b>BYE</b><!--aa--></p>x<!--b--><script>a<b/*x*/</script>");
+  })
+);
+
+results.push(
+  test("content inside raw text elements is not escaped", () => {
+    const html = "<script>x()</script><style>a{}</style><title>t</title><svg><style>s</style></svg>";
+    const out = rewrite(html, {
+      script: {
+        text: (chunk) => chunk.replace("if (a < b && c) x()"),
+        element: (el) => el.prepend("/* <b> */"),
+      },
+      style: { text: (chunk) => chunk.after(" p > a {}") },
+      title: { text: (chunk) => chunk.replace("a < b") },
+    });
+    assert.equal(
+      out,
+      "<script>/* <b> */if (a < b && c) x()</script><style>a{} p > a {}</style><title>a &lt; b</title>" +
+        "<svg><style>s p &gt; a {}</style></svg>"
+    );
+    const closing = { script: { text: (chunk) => chunk.replace("</SCRIPT><b>") } };
+    assert.throws(() => rewrite("<script>x</script>", closing), /cannot contain "<\/script"/);
+    assert.throws(() => rewrite("<style></style>", { style: { element: (el) => el.append("</style>") } }), /<\/style/);
+  })
+);
+
+results.push(
+  test("nesting follows the source tags", () => {
+    const html = "<div><p>a<p>b</div><p>c<svg><style>x<y</style><rect/><desc><p>d</desc></svg>";
+    const out = rewrite(html, {
+      "div > p": { element: (el) => el.append("!") },
+      "svg rect": { element: (el) => el.setAttribute("x", "1") },
+      "desc > p": { element: (el) => el.setAttribute("in", "desc") },
+    });
+    assert.equal(out, '<div><p>a!<p>b!</div><p>c<svg><style>x<y</style><rect x="1" /><desc><p in="desc">d</desc></svg>');
+    const svg = '<svg viewBox="0 0 1 1"><a xlink:href=#x>y</a></svg>';
+    const removed = rewrite(svg, { "[viewBox] [xlink|href]": { element: (el) => el.removeAttribute("xlink:href") } });
+    assert.equal(removed, '<svg viewBox="0 0 1 1"><a>y</a></svg>');
+  })
+);
+
+results.push(
+  test("start tags close elements the way the parser does", () => {
+    const append = (html, selector) => rewrite(html, { [selector]: { element: (el) => el.append("!") } });
+    assert.equal(append("<ul><li>a<li>b</ul>", "li"), "<ul><li>a!<li>b!</ul>");
+    assert.equal(append("<dl><dt>a<dd>b<dt>c</dl>", "dl > *"), "<dl><dt>a!<dd>b!<dt>c!</dl>");
+    assert.equal(append("<ul><li>a<ul><li>b</ul></ul>", "ul > li"), "<ul><li>a<ul><li>b!</ul>!</ul>");
+    assert.equal(append("<h1>a<h2>b", "h1, h2"), "<h1>a!<h2>b!");
+    const select = "<select><option>a<optgroup><option>b</select>";
+    assert.equal(append(select, "option"), "<select><option>a!<optgroup><option>b!</select>");
+    const table = "<table><tr><td>a<td>b<tr><th>c</table>";
+    assert.equal(append(table, "tr > *"), "<table><tr><td>a!<td>b!<tr><th>c!</table>");
+    assert.equal(append("<p>a<svg><b>c</b><ul>", "p"), "<p>a<svg><b>c</b>!<ul>");
+    assert.equal(append("<p>a<button><p>b</button>c", "p"), "<p>a<button><p>b!</button>c!");
+
+    const removed = rewrite("<div><p>one<p>two</div>", { "div > p": { element: (el) => el.remove() } });
+    assert.equal(removed, "<div></div>");
+    const second = rewrite("<div><p>one<p>two</div>", { "div > p:nth-child(2)": { element: (el) => el.remove() } });
+    assert.equal(second, "<div><p>one</div>");
+  })
+);
+
+results.push(
+  test("removing an element the parser closes early keeps what follows", () => {
+    const remove = { element: (el) => el.remove() };
+    const replace = { element: (el) => el.replace("[x]") };
+    const cases = [
+      ['<a href="/ad">x<a href="/b">y</a><p>rest</p>', "a[href='/ad']", '<a href="/b">y</a><p>rest</p>'],
+      ["<nobr id=o>x<nobr>y</nobr><p>rest</p>", "#o", "<nobr>y</nobr><p>rest</p>"],
+      ["<button id=o>x<button>y</button><p>rest</p>", "#o", "<button>y</button><p>rest</p>"],
+      ["<form id=o>x<form id=i>y</form><p>rest</p>", "#o", "<p>rest</p>"],
+    ];
+    for (const [html, selector, expected] of cases) {
+      assert.equal(rewrite(html, { [selector]: remove }), expected, html);
+      assert.equal(rewrite(html, { [selector]: replace }), `[x]${expected}`, html);
+    }
+    assert.equal(rewrite("<form>x<form id=i>y</form>", { "#i": remove }), "<form>x<form id=i>y</form>");
+    const cells = "<table><tr><td><a id=o>x<td><a>y</a></table>z";
+    assert.equal(rewrite(cells, { "#o": remove }), "<table><tr><td><td><a>y</a></table>z");
+  })
+);
+
+results.push(
+  test("selectors that need later content are rejected", () => {
+    const rejected = [
+      "p + p",
+      "li ~ li",
+      "li:last-child",
+      "p:empty",
+      "div:not(:only-child)",
+      "li:nth-child(2 of .x)",
+      "div:has(p)",
+      "body > p",
+      "table > tbody > tr",
+      "html p",
+      ":root",
+      ":root > p",
+      "p:first-child",
+      "li:nth-of-type(2) b",
+      ":not(:first-child)",
+      ":is(p:nth-child(2), div) > b",
+    ];
+    for (const selector of rejected) {
+      assert.throws(() => rewrite("<p>", { [selector]: { element() {} } }), SelectorError, selector);
+    }
+    assert.equal(rewrite("<p><b>x</b></p>", { "p b:not(.y)": { element: (el) => el.remove() } }), "<p></p>");
+    assert.equal(rewrite("<i>1</i><b>2</b>", { ":is(i, u)": { element: (el) => el.remove() } }), "<b>2</b>");
+  })
+);
+
+results.push(
+  test("streaming selectors match what query() finds", () => {
+    const html =
+      "<p id=p1>a</p><div id=d1><p id=p2>b<b id=b1>c</b></p><p id=p3>d<b id=b2>e</b><i id=i1>f</i><b id=b3>g</b></p>" +
+      "<ul id=u1><li id=l1>1<li id=l2>2<li id=l3>3</ul><div id=d2><span id=s1>x</span></div></div><p id=p4>h</p>";
+    const selectors = [
+      "p",
+      "div > p:first-child",
+      "div p:nth-child(2) b",
+      "p > b:first-of-type",
+      "p b:nth-of-type(2)",
+      "ul > li:nth-child(2n+1)",
+      "div :not(:first-child)",
+      "div > :is(p, ul):nth-child(n+2)",
+      "div div :where(span)",
+    ];
+    const doc = new JustHTML(html);
+    for (const selector of selectors) {
+      const seen = [];
+      rewrite(html, { [selector]: { element: (el) => seen.push(el.getAttribute("id")) } });
+      assert.deepEqual(seen, doc.query(selector).map((node) => node.attrs.id), selector);
+    }
+  })
+);
+
+results.push(
+  test("byte input is decoded before rewriting", () => {
+    const bytes = new TextEncoder().encode('<meta charset="utf-8"><p>café</p>');
+    const out = rewrite(bytes, { p: { text: (chunk) => chunk.replace(chunk.text.toUpperCase()) } });
+    assert.equal(out, '<meta charset="utf-8"><p>CAFÉ</p>');
+  })
+);
+
+const failed = results.filter((r) => !r.ok);
+if (failed.length) {
+  for (const r of failed) {
+    console.error(`rewriter FAIL: ${r.name}`);
+    console.error(r.err);
+  }
+  console.error(`rewriter: ${results.length - failed.length}/${results.length} passed, ${failed.length} failed`);
+  process.exit(1);
+}
+
+console.log(`rewriter: ${results.length}/${results.length} passed`);
@@ -0,0 +1,176 @@
+import assert from "node:assert/strict";
+
+import {
+  FragmentContext,
+  JustHTML,
+  Node,
+  findRoundTripDivergence,
+  isRoundTripStable,
+  sanitize,
+  serializeHTML,
+} from "../src/index.js";
+
+function fragment(html, context = "div") {
+  return new JustHTML(html, { fragmentContext: new FragmentContext(context) }).root;
+}
+
+function element(name, attrs = {}, namespace = "html", children = []) {
+  const node = new Node(name, { attrs, namespace });
+  for (const child of children) node.appendChild(child);
+  return node;
+}
+
+function root(...children) {
+  const node = new Node("#document-fragment", { namespace: null });
+  for (const child of children) node.appendChild(child);
+  return node;
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    return { name, ok: true };
+  } catch (err) {
+    return { name, ok: false, err };
+  }
+}
+
+const results = [];
+
+results.push(
+  test("parsed trees round-trip", () => {
+    const doc = new JustHTML("<!DOCTYPE html><title>t</title><p class=a>x &amp; <b>y</b></p><!--c-->");
+    assert.equal(findRoundTripDivergence(doc.root), null);
+    assert.ok(isRoundTripStable(doc.query("p")[0]));
+    assert.ok(isRoundTripStable(doc.query("html")[0]));
+    assert.equal(findRoundTripDivergence(doc.query("body")[0]), null);
+    assert.equal(findRoundTripDivergence(doc.query("head")[0]), null);
+    const body = new JustHTML("<body class=b><p>x</p></body>").query("body")[0];
+    body.appendChild(element("head"));
+    assert.equal(findRoundTripDivergence(body).message, "expected <head> but reparsing gives nothing at /0/1");
+    const frag = fragment(
+      "<table><tr><td>a</table><svg><circle r=1 /></svg><math><mi>x</mi></math><template><td>t</td></template>"
+    );
+    assert.ok(isRoundTripStable(frag));
+    assert.ok(isRoundTripStable(fragment("<td>cell</td>", "tr"), { fragmentContext: new FragmentContext("tr") }));
+  })
+);
+
+results.push(
+  test("re-parenting is reported with its path", () => {
+    const tableText = root(element("table", {}, "html", [new Node("#text", { data: "x" })]));
+    const divergence = findRoundTripDivergence(tableText);
+    assert.deepEqual([divergence.reason, divergence.path], ["name", [0]]);
+    assert.equal(divergence.html, "<table>x</table>");
+    assert.equal(divergence.message, 'expected <table> but reparsing gives text "x" at /0');
+
+    const inner = element("a", { href: "/2" });
+    const nestedLinks = root(element("p", {}, "html", [element("a", { href: "/1" }, "html", [inner])]));
+    assert.deepEqual(findRoundTripDivergence(nestedLinks).path, [0, 0, 0]);
+  })
+);
+
+results.push(
+  test("foreign content breakout", () => {
+    const htmlInSvg = root(element("svg", {}, "svg", [element("p")]));
+    assert.equal(findRoundTripDivergence(htmlInSvg).reason, "missing");
+    const mathText = root(element("math", {}, "math", [element("mi", {}, "math", [element("b")])]));
+    assert.ok(isRoundTripStable(mathText));
+  })
+);
+
+results.push(
+  test("noscript content must survive a scripting-enabled parser", () => {
+    const p = element("p", { title: "</noscript><img src=x onerror=alert(1)>" });
+    const attack = root(element("noscript", {}, "html", [p]));
+    const divergence = findRoundTripDivergence(attack);
+    assert.equal(divergence.reason, "scripting");
+    assert.deepEqual(divergence.path, [0, 0]);
+    assert.ok(isRoundTripStable(attack, { scripting: false }));
+    assert.ok(isRoundTripStable(root(element("noscript", {}, "html", [new Node("#text", { data: "plain" })]))));
+  })
+);
+
+results.push(
+  test("sanitized output can be checked before use", () => {
+    const clean = sanitize(
+      '<p>Hello <a href="/x">you</a></p><noscript><p title="</noscript><img src=x onerror=1>"></noscript>'
+    );
+    assert.ok(isRoundTripStable(fragment(clean)));
+  })
+);
+
+results.push(
+  test("serializeHTML writes what browsers' outerHTML does", () => {
+    const doc = new JustHTML(
+      "<!DOCTYPE html PUBLIC '-//W3C//DTD HTML 4.01//EN'><p class=a title='x<y>\"z'>a&nbsp;b &amp; <br>  c</p>" +
+        "<script>if (a < b && c > d) {}</script><style>p > a {}</style><pre>\n\nx</pre>" +
+        "<svg viewBox='0 0 1 1'><circle r=1 /><use xlink:href=#a /></svg><template><td>t</td></template>"
+    );
+    assert.equal(
+      serializeHTML(doc.root),
+      '<!DOCTYPE html><html><head></head><body><p class="a" title="x&lt;y&gt;&quot;z">a&nbsp;b &amp; <br>  c</p>' +
+        "<script>if (a < b && c > d) {}</script><style>p > a {}</style><pre>\nx</pre>" +
+        '<svg viewBox="0 0 1 1"><circle r="1"></circle><use xlink:href="#a"></use></svg>' +
+        "<template><td>t</td></template></body></html>"
+    );
+    assert.equal(serializeHTML(doc.queryOne("script").firstChild), "if (a < b && c > d) {}");
+    assert.equal(serializeHTML(element("noscript", {}, "html", [element("b")])), "<noscript><b></b></noscript>");
+    const text = new Node("#text", { data: "<b>" });
+    const noscript = element("noscript", {}, "html", [text]);
+    assert.equal(serializeHTML(noscript, { scripting: true }), "<noscript><b></noscript>");
+    assert.equal(serializeHTML(element("basefont")), "<basefont>");
+  })
+);
+
+results.push(
+  test("doctype and quirks mode are exposed and serialized", () => {
+    const legacy =
+      '<!DOCTYPE html PUBLIC "-//W3C//DTD HTML 4.01 Transitional//EN" "http://www.w3.org/TR/html4/loose.dtd">';
+    const cases = [
+      [legacy, "limited-quirks", "CSS1Compat"],
+      ['<!DOCTYPE html PUBLIC "-//W3C//DTD HTML 4.01 Transitional//EN">', "quirks", "BackCompat"],
+      ["<!DOCTYPE html SYSTEM 'about:legacy-compat'>", "no-quirks", "CSS1Compat"],
+      ["<p>no doctype", "quirks", "BackCompat"],
+    ];
+    for (const [html, quirksMode, compatMode] of cases) {
+      const doc = new JustHTML(html);
+      assert.deepEqual([doc.quirksMode, doc.compatMode], [quirksMode, compatMode], html);
+    }
+
+    const doc = new JustHTML(`${legacy}<p>x`);
+    assert.deepEqual(
+      [doc.doctype.name, doc.doctype.publicId, doc.doctype.systemId],
+      ["html", "-//W3C//DTD HTML 4.01 Transitional//EN", "http://www.w3.org/TR/html4/loose.dtd"]
+    );
+    assert.ok(doc.toHTML({ pretty: false }).startsWith(`${legacy}<html>`));
+    const reparsed = new JustHTML(doc.toHTML());
+    assert.deepEqual(reparsed.doctype, doc.doctype);
+    assert.equal(reparsed.quirksMode, "limited-quirks");
+
+    const quoted = new JustHTML("<!DOCTYPE html SYSTEM 'a\"b'>").toHTML();
+    assert.equal(quoted.split("\n")[0], "<!DOCTYPE html SYSTEM 'a\"b'>");
+    assert.equal(new JustHTML("<p>").doctype, null);
+  })
+);
+
+results.push(
+  test("raw text and foreign content round-trip exactly", () => {
+    const frag = fragment("<script>a</b>&amp;</script><style>x<y</style><svg><path d=M0 /><desc>d</desc></svg>");
+    assert.equal(findRoundTripDivergence(frag), null);
+    const nbsp = root(element("p", {}, "html", [new Node("#text", { data: "\u00a0<&>" })]));
+    assert.ok(isRoundTripStable(nbsp));
+  })
+);
+
+const failed = results.filter((r) => !r.ok);
+if (failed.length) {
+  for (const r of failed) {
+    console.error(`roundtrip FAIL: ${r.name}`);
+    console.error(r.err);
+  }
+  console.error(`roundtrip: ${results.length - failed.length}/${results.length} passed, ${failed.length} failed`);
+  process.exit(1);
+}
+
+console.log(`roundtrip: ${results.length}/${results.length} passed`);
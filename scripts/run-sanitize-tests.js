@@ -0,0 +1,125 @@
+import assert from "node:assert/strict";
+
+import { DEFAULT_POLICY, FragmentContext, JustHTML, isRoundTripStable, sanitize } from "../src/index.js";
+
+function test(name, fn) {
+  try {
+    fn();
+    return { name, ok: true };
+  } catch (err) {
+    return { name, ok: false, err };
+  }
+}
+
+const results = [];
+
+results.push(
+  test("default policy keeps formatting and drops scripts", () => {
+    const html = '<p class=x onclick="steal()">Hi <b>there</b><script>alert(1)</script><style>p{}</style></p>';
+    assert.equal(sanitize(html), "<p>Hi <b>there</b></p>");
+  })
+);
+
+results.push(
+  test("disallowed elements are unwrapped unless their content is dropped", () => {
+    assert.equal(sanitize("<font color=red>a<blink>b</blink></font><iframe>c</iframe>"), "ab");
+    assert.equal(sanitize("<svg><g onload=alert(1)>x</g></svg><math><mi>y</mi></math>"), "");
+    assert.equal(sanitize("<template><b>x</b></template><!-- note -->"), "");
+    assert.equal(sanitize("<template></style><title>x</title></template>y"), "y");
+  })
+);
+
+results.push(
+  test("URL attributes must use an allowed protocol", () => {
+    const html = [
+      '<a href="javascript:alert(1)">1</a>',
+      '<a href=" JaVa&#x09;script:alert(1)">2</a>',
+      '<a href="/relative?q=1">3</a>',
+      '<a href="mailto:me@example.com">4</a>',
+      '<img src="data:image/png;base64,AAA" alt=x>',
+    ].join("");
+    assert.equal(
+      sanitize(html),
+      '<a>1</a><a>2</a><a href="/relative?q=1">3</a><a href="mailto:me@example.com">4</a><img alt="x">'
+    );
+  })
+);
+
+results.push(
+  test("markup hidden in raw text does not survive", () => {
+    const html =
+      '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>' + "<textarea><img src=x></textarea>";
+    assert.equal(sanitize(html), "");
+    const again = new JustHTML(sanitize('<p title="</p><img onerror=x>">a</p>'));
+    assert.equal(again.query("img").length, 0);
+    assert.equal(again.query("p")[0].attrs.title, "</p><img onerror=x>");
+  })
+);
+
+results.push(
+  test("custom policies merge with the defaults", () => {
+    const policy = {
+      allowedTags: ["p", "a", "video"],
+      allowedAttributes: { a: ["href", "rel"], video: ["src", "controls"] },
+      allowedProtocols: { href: ["https"], src: ["https"] },
+      disallowedElements: "drop",
+      allowComments: true,
+    };
+    const html =
+      '<p><a href="http://x" rel=nofollow>a</a><em>gone</em><!--c-->' + '<video src="https://v" controls></video></p>';
+    const clean = '<p><a rel="nofollow">a</a><!--c--><video src="https://v" controls=""></video></p>';
+    assert.equal(sanitize(html, policy), clean);
+    assert.ok(Object.isFrozen(DEFAULT_POLICY));
+    assert.throws(() => DEFAULT_POLICY.allowedTags.push("script"), TypeError);
+    assert.throws(() => {
+      DEFAULT_POLICY.allowedAttributes.a.push("onclick");
+    }, TypeError);
+    assert.throws(() => {
+      DEFAULT_POLICY.allowedProtocols.href = ["javascript"];
+    }, TypeError);
+    assert.equal(sanitize("<script>x</script>"), "");
+    assert.throws(() => sanitize("<p>", { disallowedElements: "escape" }), TypeError);
+  })
+);
+
+results.push(
+  test("parsed nodes are sanitized without being modified", () => {
+    const doc = new JustHTML("<!DOCTYPE html><title>t</title><p id=a onclick=x>one<i>two</i></p>");
+    const p = doc.query("p")[0];
+    assert.equal(sanitize(p), "<p>one<i>two</i></p>");
+    assert.equal(sanitize(doc), "<p>one<i>two</i></p>");
+    assert.equal(p.attrs.onclick, "x");
+  })
+);
+
+results.push(
+  test("output parses back into the sanitized tree", () => {
+    const inputs = [
+      "<pre>\n\nx</pre>",
+      "<p>a<section><p>b</p></section>c</p>",
+      "<a href=/x>1<div><a href=/y>2</a></div></a>",
+    ];
+    for (const html of inputs) {
+      const clean = sanitize(html);
+      const reparsed = new JustHTML(clean, { fragmentContext: new FragmentContext("div") }).root;
+      assert.ok(isRoundTripStable(reparsed), html);
+      assert.equal(sanitize(clean), clean, html);
+    }
+    assert.equal(sanitize("<pre>\n\nx</pre>"), "<pre>x</pre>");
+
+    const policy = { allowedTags: ["noscript", "b"], dropContentTags: [] };
+    assert.throws(() => sanitize("<noscript><b>x</b></noscript>", policy), /does not parse back/);
+  })
+);
+
+const failed = results.filter((r) => !r.ok);
+if (failed.length) {
+  for (const r of failed) {
+    console.error(`sanitize FAIL: ${r.name}`);
+    console.error(r.err);
+  }
+  console.error(`sanitize: ${results.length - failed.length}/${results.length} passed, ${failed.length} failed`);
+  process.exit(1);
+}
+
+console.log(`sanitize: ${results.length}/${results.length} passed`);
@@ -1,6 +1,17 @@
 import assert from "node:assert/strict";
 
-import { JustHTML, SelectorError, matches, query } from "../src/index.js";
+import {
+  JustHTML,
+  SelectorError,
+  closest,
+  compileSelector,
+  matches,
+  matchingSelectors,
+  query,
+  queryOne,
+  registerNamespacePrefix,
+  specificity,
+} from "../src/index.js";
 
 function getSimpleDoc() {
   const html = `
@@ -124,6 +135,51 @@ results.push(
   })
 );
 
+results.push(
+  test("attribute case-sensitivity flags", () => {
+    const root = new JustHTML('<input type=Text name=Q><a href="/Docs" rel=NoFollow>x</a>').root;
+    assert.equal(query(root, "[type=text]").length, 1);
+    assert.equal(query(root, "[type=text s]").length, 0);
+    assert.equal(query(root, "[NAME=Q]").length, 1);
+    assert.equal(query(root, "[name=q]").length, 0);
+    assert.equal(query(root, '[name="q" i]').length, 1);
+    assert.equal(query(root, "a[href^=/docs I]").length, 1);
+    assert.equal(query(root, "a[rel~=nofollow]").length, 1);
+  })
+);
+
+results.push(
+  test("attribute names keep their case on SVG elements", () => {
+    const root = new JustHTML('<svg viewBox="0 0 10 10"><rect fill=red /></svg><div viewbox=x></div>').root;
+    assert.deepEqual(
+      query(root, "[viewBox]").map((n) => n.name),
+      ["svg", "div"]
+    );
+    assert.deepEqual(
+      query(root, "[viewbox]").map((n) => n.name),
+      ["div"]
+    );
+    assert.equal(query(root, "rect[FILL]").length, 0);
+  })
+);
+
+results.push(
+  test("namespaced attribute selectors", () => {
+    const root = new JustHTML('<svg><a xlink:href="#x" href="#y"></a></svg><p xlink:href=z></p>').root;
+    assert.equal(query(root, '[xlink|href="#x"]').length, 1);
+    assert.equal(query(root, '[href="#x"]').length, 0);
+    assert.equal(query(root, '[|href="#y"]').length, 1);
+    assert.equal(query(root, '[*|href="#x"]').length, 1);
+    assert.equal(query(root, "[*|href]").length, 1);
+    assert.equal(query(root, "p[xlink|href]").length, 0);
+    assert.throws(() => query(root, "[ex|href]"), SelectorError);
+    registerNamespacePrefix("ex", "http://www.w3.org/1999/xlink");
+    assert.equal(query(root, '[ex|href="#x"]').length, 1);
+    assert.throws(() => registerNamespacePrefix("a|b", "urn:x"), TypeError);
+    assert.equal(query(root, "[lang|=en]").length, 0);
+  })
+);
+
 results.push(
   test("descendant combinator", () => {
     const root = getSimpleDoc();
@@ -181,6 +237,10 @@ results.push(
     const out = query(root, "li:nth-child(2)");
     assert.equal(out.length, 1);
     assert.equal(out[0].attrs.class, "special");
+    const counts = { "+2": 1, "0n+2": 1, "-n + 2": 2, "n- 1": 3, EVEN: 1, "2N": 1, " odd ": 2 };
+    for (const [expr, count] of Object.entries(counts)) {
+      assert.equal(query(root, `li:nth-child(${expr})`).length, count, expr);
+    }
   })
 );
 
@@ -192,6 +252,31 @@ results.push(
   })
 );
 
+results.push(
+  test(":not() takes selector lists and complex selectors", () => {
+    const root = getSimpleDoc();
+    assert.deepEqual(
+      query(root, "#main > :not(h1, ul)").map((n) => n.attrs.class),
+      ["intro first", "content"]
+    );
+    assert.equal(query(root, "p:not(div > p)").length, 0);
+    assert.equal(query(root, "li:not(:not(.special))").length, 1);
+    assert.equal(query(root, 'a:not([href="http://example.com/(x)"])').length, 1);
+  })
+);
+
+results.push(
+  test(":nth-child(An+B of S)", () => {
+    const root = getSiblingDoc();
+    assert.deepEqual(
+      query(root, ":nth-child(2n of p)").map((n) => n.attrs.class),
+      ["second", "fourth"]
+    );
+    assert.equal(query(root, "p:nth-child(1 of .third, .fourth)")[0].attrs.class, "third");
+    assert.equal(query(root, "p:not(:nth-child(odd of p))").length, 2);
+  })
+);
+
 results.push(
   test(":empty matches whitespace-only text", () => {
     const root = getEmptyDoc();
@@ -213,6 +298,96 @@ results.push(
   })
 );
 
+results.push(
+  test("form state pseudo-classes", () => {
+    const html = `
+      <form id=f>
+        <fieldset disabled>
+          <legend><input id=in-legend></legend>
+          <input id=in-fieldset><button id=b1 type=reset>Go</button>
+        </fieldset>
+        <input id=text required placeholder=Name>
+        <input id=filled placeholder=Name value=x readonly>
+        <input id=box type=checkbox checked>
+        <input id=hidden type=hidden required>
+        <select id=sel><optgroup disabled><option id=o1>1</option></optgroup><option id=o2 selected>2</option></select>
+        <textarea id=ta placeholder=Notes></textarea>
+        <input id=submit type=submit><button id=b2 type=button>x</button>
+      </form>
+      <button id=outside form=f>Late</button>
+      <form id=g></form><button id=owned form=g>Send</button>
+      <div contenteditable><p id=editable>x</p><p id=fixed contenteditable=false>y</p></div>
+    `;
+    const root = new JustHTML(html).root;
+    const ids = (selector) => query(root, selector).map((n) => n.attrs.id ?? n.name);
+
+    assert.deepEqual(ids(":disabled"), ["fieldset", "in-fieldset", "b1", "optgroup", "o1"]);
+    assert.deepEqual(ids("input:enabled"), ["in-legend", "text", "filled", "box", "hidden", "submit"]);
+    assert.deepEqual(ids(":checked"), ["box", "o2"]);
+    assert.deepEqual(ids(":default"), ["box", "o2", "submit", "owned"]);
+    assert.deepEqual(ids(":required"), ["text"]);
+    assert.ok(ids(":optional").includes("hidden"));
+    assert.deepEqual(ids(":placeholder-shown"), ["text", "ta"]);
+    assert.deepEqual(ids(":read-write"), ["in-legend", "text", "ta", "div", "editable"]);
+    assert.ok(matches(query(root, "#filled")[0], ":read-only"));
+  })
+);
+
+results.push(
+  test(":link, :lang() and :dir()", () => {
+    const html = `
+      <div lang=en-GB><a id=a1 href=/x>x</a><a id=a2>y</a><map><area id=a3 href=/z></map>
+        <p id=de lang=de-CH-1996>z</p><p id=none lang="">?</p></div>
+      <div dir=rtl><p id=rtl>a</p><p id=ltr dir=ltr>b</p></div>
+      <p id=auto dir=auto><span>123</span> שלום world</p>
+      <bdi id=bdi>abc <b dir=rtl>ש</b></bdi>
+    `;
+    const root = new JustHTML(html).root;
+    const ids = (selector) => query(root, selector).map((n) => n.attrs.id);
+
+    assert.deepEqual(ids(":any-link"), ["a1", "a3"]);
+    assert.deepEqual(ids("a:link"), ["a1"]);
+    assert.deepEqual(ids("p:lang(en)"), []);
+    assert.deepEqual(ids("a:lang(en)"), ["a1", "a2"]);
+    assert.deepEqual(ids(':lang("*-CH")'), ["de"]);
+    assert.deepEqual(ids("p:lang(de-1996, fr)"), ["de"]);
+    assert.deepEqual(ids("p:dir(rtl)"), ["rtl", "auto"]);
+    assert.deepEqual(ids(":dir(ltr)#ltr, #bdi:dir(ltr)"), ["ltr", "bdi"]);
+    assert.throws(() => query(root, "p:lang()"), SelectorError);
+  })
+);
+
+results.push(
+  test(":contains(), :contains-own() and :text-matches()", () => {
+    const html = `
+      <ul>
+        <li id=a><b>Price:</b> $5</li>
+        <li id=b>Price (each): <i>$12.50</i></li>
+        <li id=c>Sold out</li>
+        <li id=d>It's done (really)</li>
+      </ul>
+      <template><p id=t>Price</p></template>
+    `;
+    const root = new JustHTML(html).root;
+    const ids = (selector) => query(root, selector).map((n) => n.attrs.id);
+
+    assert.deepEqual(ids('li:contains("Price")'), ["a", "b"]);
+    assert.deepEqual(ids("li:contains('Price: $5')"), ["a"]);
+    assert.deepEqual(ids("li:contains(Sold)"), ["c"]);
+    assert.deepEqual(ids('li:contains-own("Price")'), ["b"]);
+    assert.deepEqual(ids('li:contains("(each)")'), ["b"]);
+    assert.deepEqual(ids("li:text-matches(/\\$\\d+\\.\\d\\d$/)"), ["b"]);
+    assert.deepEqual(ids("li:text-matches(/^sold/i)"), ["c"]);
+    assert.deepEqual(ids("li:text-matches(/it's done \\(really\\)/i)"), ["d"]);
+    assert.deepEqual(ids('li:text-matches( /[)"]$|\'s/ ), #none'), ["d"]);
+    assert.deepEqual(ids("p:contains(Price)"), ["t"]);
+    assert.equal(query(root, "ul:contains(Price)").length, 1);
+    assert.throws(() => query(root, "li:contains()"), SelectorError);
+    assert.throws(() => query(root, "li:text-matches(sold)"), SelectorError);
+    assert.throws(() => query(root, "li:text-matches(/[/)"), SelectorError);
+  })
+);
+
 results.push(
   test("matches()", () => {
     const root = getSimpleDoc();
@@ -223,11 +398,170 @@ results.push(
   })
 );
 
+results.push(
+  test(":is() and :where() take selector lists", () => {
+    const root = getSiblingDoc();
+    const out = query(root, ":is(h1, span) + p");
+    assert.deepEqual(
+      out.map((n) => n.attrs.class),
+      ["first", "fourth"]
+    );
+    assert.equal(query(root, "div > :where(.second, .third, span)").length, 3);
+    assert.equal(query(root, "p:is(:nth-child(2), .fourth:not(span))").length, 2);
+  })
+);
+
+results.push(
+  test(":has() with relative selectors", () => {
+    const root = getSimpleDoc();
+    assert.deepEqual(
+      query(root, "div:has(li.special)").map((n) => n.attrs.id),
+      ["main"]
+    );
+    assert.equal(query(root, "body:has(> li)").length, 0);
+    assert.equal(query(root, "ul:has(> li + .special)").length, 1);
+    assert.deepEqual(
+      query(root, "p:has(+ p)").map((n) => n.attrs.class),
+      ["intro first"]
+    );
+    assert.deepEqual(
+      query(root, "h1:has(~ ul, ~ a)").map((n) => n.name),
+      ["h1"]
+    );
+    assert.equal(query(root, "div:has(> a[data-id], > h1)").length, 2);
+    assert.equal(query(root, "body:has(> div:has(> a))").length, 1);
+    assert.equal(query(root, ":scope > body:has(#sidebar)").length, 1);
+  })
+);
+
+results.push(
+  test("compileSelector()", () => {
+    const root = getSimpleDoc();
+    const items = compileSelector("#main li:not(.special)");
+    assert.equal(items.query(root).length, 2);
+    assert.equal(items.queryFirst(root).toText(), "Item 1");
+    assert.equal(items.matches(query(root, "li.special")[0]), false);
+    assert.equal(compileSelector("h2").queryFirst(root), null);
+    assert.equal(compileSelector("li"), compileSelector("li"));
+    assert.throws(() => compileSelector("li >"), SelectorError);
+  })
+);
+
+results.push(
+  test("queryOne(), queryIter() and closest()", () => {
+    const doc = new JustHTML("<article><h1>A</h1><p>x <b>y</b></p></article><template><h1>B</h1></template><h1>C</h1>");
+    assert.equal(doc.queryOne("h1").toText(), "A");
+    assert.equal(doc.queryOne("h2"), null);
+    assert.equal(queryOne(doc.root, "body > h1").toText(), "C");
+
+    const headings = doc.queryIter("h1");
+    assert.equal(headings.next().value.toText(), "A");
+    assert.equal(headings.next().value.toText(), "B");
+    assert.deepEqual(
+      [...doc.root.queryIter("h1")].map((n) => n.toText()),
+      ["A", "B", "C"]
+    );
+
+    const b = doc.queryOne("b");
+    assert.equal(b.closest("article").name, "article");
+    assert.equal(b.closest("b"), b);
+    assert.equal(closest(b, "section"), null);
+    assert.equal(closest(b.children[0], "p"), null);
+  })
+);
+
+results.push(
+  test("compiled selectors report specificity", () => {
+    const cases = [
+      ["*", [0, 0, 0]],
+      ["li", [0, 0, 1]],
+      ["ul > li.special:first-child", [0, 2, 2]],
+      ["#main a[href]", [1, 1, 1]],
+      [":is(#a, .b) p", [1, 0, 1]],
+      [":where(#a, .b) p", [0, 0, 1]],
+      ["li:not(.a, #b)", [1, 0, 1]],
+      ["div:has(> p.x)", [0, 1, 2]],
+      [":nth-child(2n of .x)", [0, 2, 0]],
+      ["p, #x", [1, 0, 0]],
+    ];
+    for (const [selector, expected] of cases) {
+      assert.deepEqual(compileSelector(selector).specificity, expected, selector);
+    }
+  })
+);
+
+results.push(
+  test("specificity() and matchingSelectors()", () => {
+    const root = getSimpleDoc();
+    assert.deepEqual(specificity("#main > p.intro:not(.x)"), [1, 2, 1]);
+    assert.deepEqual(specificity(compileSelector("a[href], li")), [0, 1, 1]);
+
+    const p = query(root, "p.intro")[0];
+    const rules = [".intro", "p", "#main p", "li", "div > .first", "h1, #main .intro, p", ":where(#main) p"];
+    const matched = matchingSelectors(p, rules);
+    assert.deepEqual(
+      matched.map((m) => m.selector),
+      ["p", ":where(#main) p", ".intro", "div > .first", "#main p", "h1, #main .intro, p"]
+    );
+    assert.deepEqual(matched[matched.length - 1], { selector: rules[5], specificity: [1, 1, 0], index: 5 });
+    assert.deepEqual(matchingSelectors(p, []), []);
+  })
+);
+
 results.push(
   test("invalid selector throws SelectorError", () => {
     const root = getSimpleDoc();
     assert.throws(() => query(root, "#"), SelectorError);
     assert.throws(() => query(root, ""), SelectorError);
+    assert.throws(() => query(root, "div:has()"), SelectorError);
+    assert.throws(() => query(root, "p:is()"), SelectorError);
+    assert.throws(() => query(root, "p:not()"), SelectorError);
+    assert.throws(() => query(new JustHTML("").root, "p:not(#)"), SelectorError);
+  })
+);
+
+results.push(
+  test("SelectorError reports where parsing stopped", () => {
+    const failure = (selector) => {
+      try {
+        compileSelector(selector);
+      } catch (err) {
+        assert.ok(err instanceof SelectorError);
+        return err;
+      }
+      assert.fail(`expected ${JSON.stringify(selector)} to throw`);
+    };
+    const where = (selector) => {
+      const err = failure(selector);
+      return [err.position, err.expected];
+    };
+
+    assert.deepEqual(where('a[href="x" b]'), [11, "]"]);
+    assert.deepEqual(where("div > "), [6, "selector"]);
+    assert.deepEqual(where("a,,b"), [2, "selector"]);
+    assert.deepEqual(where("p,"), [2, "selector"]);
+    assert.deepEqual(where("div."), [4, "identifier"]);
+    assert.deepEqual(where("[x~y]"), [3, "="]);
+    assert.deepEqual(where("p:bogus"), [2, "supported pseudo-class"]);
+    assert.deepEqual(where("[foo|bar]"), [1, "registered namespace prefix"]);
+    assert.deepEqual(where("a:nth-child(2n+1"), [16, ")"]);
+
+    // Errors inside pseudo-class arguments point into the whole selector.
+    assert.deepEqual(where("div:not(p > )"), [11, "selector"]);
+    assert.deepEqual(where("p:has(a, ~ #)"), [12, "identifier"]);
+    assert.deepEqual(where("li:nth-child(2 of #)"), [19, "identifier"]);
+    assert.deepEqual(where("p:lang()"), [7, "language range"]);
+    assert.deepEqual(where("li:nth-child(2 of )"), [17, "selector list"]);
+    assert.deepEqual(where("li:nth-child(foo)"), [13, "An+B"]);
+    assert.deepEqual(where("li:nth-child(2n+x)"), [13, "An+B"]);
+    assert.deepEqual(where("li:nth-child(+ 2n of .a)"), [13, "An+B"]);
+    assert.deepEqual(where("li:nth-of-type()"), [15, "An+B"]);
+    assert.deepEqual(where("p:not(:nth-child(2 n))"), [17, "An+B"]);
+
+    const err = failure("  p:is(a, b[)");
+    assert.equal(err.selector, "  p:is(a, b[)");
+    assert.equal(err.message, "Expected attribute name");
+    assert.equal(String(err), "SelectorError: Expected attribute name\n    p:is(a, b[)\n              ^");
   })
 );
 
@@ -1,11 +1,37 @@
 import assert from "node:assert/strict";
+import { Readable } from "node:stream";
 
-import { stream } from "../src/index.js";
+import { JustHTML, stream, streamAsync } from "../src/index.js";
 
 function collect(gen) {
   return Array.from(gen);
 }
 
+async function collectAsync(gen) {
+  const out = [];
+  for await (const event of gen) out.push(event);
+  return out;
+}
+
+function treeToEvents(node, out = []) {
+  const children = node.name === "template" ? node.templateContent.children : node.children;
+  for (const child of children) {
+    if (child.name === "#text") out.push(["text", child.data]);
+    else if (child.name === "#comment") out.push(["comment", child.data]);
+    else if (child.name === "!doctype") out.push(["doctype", [child.data.name, child.data.publicId, child.data.systemId]]);
+    else {
+      out.push(["start", [child.name, { ...child.attrs }]]);
+      treeToEvents(child, out);
+      out.push(["end", child.name]);
+    }
+  }
+  return out;
+}
+
+async function* chunksOf(input, size) {
+  for (let i = 0; i < input.length; i += size) yield input.slice(i, i + size);
+}
+
 function test(name, fn) {
   try {
     fn();
@@ -15,6 +41,15 @@ function test(name, fn) {
   }
 }
 
+async function testAsync(name, fn) {
+  try {
+    await fn();
+    return { name, ok: true };
+  } catch (err) {
+    return { name, ok: false, err };
+  }
+}
+
 const results = [];
 
 results.push(
@@ -82,6 +117,212 @@ results.push(
   })
 );
 
+results.push(
+  test("tree events include implied and auto-closed elements", () => {
+    const events = collect(stream("<p>a<p>b", { treeEvents: true }));
+    assert.deepEqual(events, [
+      ["start", ["html", {}]],
+      ["start", ["head", {}]],
+      ["end", "head"],
+      ["start", ["body", {}]],
+      ["start", ["p", {}]],
+      ["text", "a"],
+      ["end", "p"],
+      ["start", ["p", {}]],
+      ["text", "b"],
+      ["end", "p"],
+      ["end", "body"],
+      ["end", "html"],
+    ]);
+  })
+);
+
+results.push(
+  test("tree events follow tree-builder fixups", () => {
+    const body = (html) => {
+      const events = collect(stream(html, { treeEvents: true }));
+      const start = events.findIndex((e) => e[0] === "start" && e[1][0] === "body");
+      return events.slice(start + 1, -2);
+    };
+    // Adoption agency
+    assert.deepEqual(body("<b>1<p>2</b>3</p>"), [
+      ["start", ["b", {}]],
+      ["text", "1"],
+      ["end", "b"],
+      ["start", ["p", {}]],
+      ["start", ["b", {}]],
+      ["text", "2"],
+      ["end", "b"],
+      ["text", "3"],
+      ["end", "p"],
+    ]);
+    // Foster parenting and implied tbody
+    assert.deepEqual(body("<table>x<tr><td>y</table>"), [
+      ["text", "x"],
+      ["start", ["table", {}]],
+      ["start", ["tbody", {}]],
+      ["start", ["tr", {}]],
+      ["start", ["td", {}]],
+      ["text", "y"],
+      ["end", "td"],
+      ["end", "tr"],
+      ["end", "tbody"],
+      ["end", "table"],
+    ]);
+  })
+);
+
+results.push(
+  test("html and body start events snapshot their attributes", () => {
+    const merged = collect(stream("<html a=1><body c=3><body d=4><p>x", { treeEvents: true }));
+    assert.deepEqual(merged[0], ["start", ["html", { a: "1" }]]);
+    assert.deepEqual(merged[3], ["start", ["body", { c: "3", d: "4" }]]);
+
+    const events = [];
+    const copies = [];
+    for (const event of stream("<html a=1><p>x</p><html b=2><body c=3>", { treeEvents: true })) {
+      events.push(event);
+      copies.push(structuredClone(event));
+    }
+    assert.deepEqual(events, copies);
+    assert.deepEqual(events[0], ["start", ["html", { a: "1" }]]);
+    assert.deepEqual(events[3], ["start", ["body", {}]]);
+    assert.deepEqual(events.at(-1), ["end", "html"]);
+  })
+);
+
+results.push(
+  test("tree events match the parsed document", () => {
+    const samples = [
+      "<!DOCTYPE html><!-- c --><title>T</title><ul><li>a<li>b</ul><a href=x><div>y</a>z</div>",
+      "<table><caption>c<tr><td>1<td>2<tr><th>3</table><form><div>x</form>y</div>",
+      "<svg><foreignObject><p>x</foreignObject><![CDATA[a<b]]></svg><template><td>t</template>",
+      "<head></head><link>x<select><option>a<option selected>b</select><i><b>q</i>r</b>",
+    ];
+    for (const html of samples) {
+      assert.deepEqual(collect(stream(html, { treeEvents: true })), treeToEvents(new JustHTML(html).root));
+    }
+  })
+);
+
+results.push(
+  test("positions carry offsets and raw source", () => {
+    const html = "\ufeff<p class=\"a\"  id=b>x &amp; y</p><!-- c -->";
+    const events = collect(stream(html, { positions: true }));
+    assert.deepEqual(
+      events.map(([event, , position]) => [event, position.startOffset, position.endOffset, position.raw]),
+      [
+        ["start", 1, 20, '<p class="a"  id=b>'],
+        ["text", 20, 29, "x &amp; y"],
+        ["end", 29, 33, "</p>"],
+        ["comment", 33, 43, "<!-- c -->"],
+      ]
+    );
+    assert.deepEqual(events[1].slice(0, 2), ["text", "x & y"]);
+    const { id } = events[0][2].attrs;
+    assert.deepEqual([id.startOffset, id.endOffset, id.raw], [15, 19, "id=b"]);
+    assert.equal(events.map((e) => e[2].raw).join(""), html.slice(1));
+  })
+);
+
+results.push(
+  test("positions are opt-in", () => {
+    assert.equal(collect(stream("<p>x</p>"))[0].length, 2);
+    assert.throws(() => collect(stream("<p>", { positions: true, treeEvents: true })), TypeError);
+  })
+);
+
+const ASYNC_HTML =
+  '<!DOCTYPE html><div class="a">caf\u00e9 &amp; <b>bold</b><!-- note --><script>if (a < b) {}</script></div>';
+
+results.push(
+  await testAsync("streamAsync over an async iterable", async () => {
+    const expected = collect(stream(ASYNC_HTML));
+    for (const size of [1, 4, 1000]) {
+      assert.deepEqual(await collectAsync(streamAsync(chunksOf(ASYNC_HTML, size))), expected);
+    }
+  })
+);
+
+results.push(
+  await testAsync("streamAsync over byte streams", async () => {
+    const bytes = new TextEncoder().encode(ASYNC_HTML);
+    const expected = collect(stream(bytes, { encoding: "utf-8" }));
+
+    const web = new ReadableStream({
+      start(controller) {
+        for (let i = 0; i < bytes.length; i += 3) controller.enqueue(bytes.subarray(i, i + 3));
+        controller.close();
+      },
+    });
+    assert.deepEqual(await collectAsync(streamAsync(web, { encoding: "utf-8" })), expected);
+
+    const node = Readable.from(chunksOf(bytes, 5));
+    assert.deepEqual(await collectAsync(streamAsync(node, { encoding: "utf-8" })), expected);
+  })
+);
+
+results.push(
+  await testAsync("streamAsync with positions", async () => {
+    const expected = collect(stream(ASYNC_HTML, { positions: true }));
+    assert.deepEqual(await collectAsync(streamAsync(chunksOf(ASYNC_HTML, 1), { positions: true })), expected);
+  })
+);
+
+results.push(
+  await testAsync("streamAsync with tree events", async () => {
+    const expected = collect(stream(ASYNC_HTML, { treeEvents: true }));
+    assert.deepEqual(await collectAsync(streamAsync(chunksOf(ASYNC_HTML, 3), { treeEvents: true })), expected);
+  })
+);
+
+results.push(
+  await testAsync("streamAsync yields events before the input ends", async () => {
+    let release;
+    const gate = new Promise((resolve) => {
+      release = resolve;
+    });
+    async function* source() {
+      yield "<p>first paragraph</p><p>second ";
+      await gate;
+      yield "paragraph</p>";
+    }
+
+    const events = streamAsync(source());
+    assert.deepEqual((await events.next()).value, ["start", ["p", {}]]);
+    assert.deepEqual((await events.next()).value, ["text", "first paragraph"]);
+    release();
+    const rest = await collectAsync(events);
+    assert.deepEqual(rest, [
+      ["end", "p"],
+      ["start", ["p", {}]],
+      ["text", "second paragraph"],
+      ["end", "p"],
+    ]);
+  })
+);
+
+results.push(
+  await testAsync("breaking out of streamAsync cancels a ReadableStream", async () => {
+    let cancelled = false;
+    const web = new ReadableStream({
+      pull(controller) {
+        controller.enqueue("<p>more</p>");
+      },
+      cancel() {
+        cancelled = true;
+      },
+    });
+
+    for await (const event of streamAsync(web)) {
+      assert.deepEqual(event, ["start", ["p", {}]]);
+      break;
+    }
+    assert.ok(cancelled);
+    assert.ok(!web.locked);
+  })
+);
+
 const failed = results.filter((r) => !r.ok);
 if (failed.length) {
   for (const r of failed) {
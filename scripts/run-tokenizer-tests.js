@@ -9,7 +9,7 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const REPO_ROOT = path.resolve(__dirname, "..");
 
 function parseArgs(argv) {
-  const out = { testsDir: null, testSpecs: [] };
+  const out = { testsDir: null, testSpecs: [], checkErrors: false };
   for (let i = 0; i < argv.length; i += 1) {
     const arg = argv[i];
     if (arg === "--tests-dir") {
@@ -19,6 +19,8 @@ function parseArgs(argv) {
       const spec = argv[i + 1];
       if (spec) out.testSpecs.push(spec);
       i += 1;
+    } else if (arg === "--check-errors") {
+      out.checkErrors = true;
     }
   }
   return out;
@@ -82,6 +84,10 @@ function canonicalize(val) {
   return val;
 }
 
+function errorsToList(errors) {
+  return errors.map((e) => [e.code, e.line, e.col ?? e.column]);
+}
+
 function mapInitialState(name) {
   const mapping = {
     "Data state": [Tokenizer.DATA, null],
@@ -206,7 +212,7 @@ async function main() {
           discardBom: Boolean(test.discardBom),
           xmlCoercion,
         });
-        const tokenizer = new Tokenizer(sink, opts);
+        const tokenizer = new Tokenizer(sink, opts, { collectErrors: args.checkErrors });
         tokenizer.lastStartTagName = lastStartTag;
         tokenizer.run(inputText);
 
@@ -215,6 +221,15 @@ async function main() {
           ok = false;
           break;
         }
+
+        if (args.checkErrors) {
+          const actualErrors = errorsToList(tokenizer.errors);
+          const expectedErrors = errorsToList(test.errors || []);
+          if (JSON.stringify(actualErrors) !== JSON.stringify(expectedErrors)) {
+            ok = false;
+            break;
+          }
+        }
       }
 
       if (ok) {
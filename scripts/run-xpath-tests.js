@@ -0,0 +1,149 @@
+import assert from "node:assert/strict";
+
+import { JustHTML, XPathError, xpath } from "../src/index.js";
+
+function getDoc() {
+  const html = `<!DOCTYPE html>
+    <html lang="en">
+      <body>
+        <div id="main" class="container">
+          <h1>Title</h1>
+          <p class="intro">First <b>bold</b> paragraph</p>
+          <p class="content">Second</p>
+          <!-- note -->
+          <ul><li>1</li><li>2</li><li>3</li></ul>
+        </div>
+        <template><p class="tpl">Inside</p></template>
+        <svg viewBox="0 0 1 1"><a xlink:href="#x"><rect/></a></svg>
+      </body>
+    </html>`;
+  return new JustHTML(html).root;
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    return { name, ok: true };
+  } catch (err) {
+    return { name, ok: false, err };
+  }
+}
+
+const names = (nodes) => nodes.map((n) => n.name);
+const texts = (nodes) => nodes.map((n) => n.toText());
+
+const results = [];
+
+results.push(
+  test("location paths and abbreviations", () => {
+    const root = getDoc();
+    assert.deepEqual(names(xpath(root, "/html/body/div/h1")), ["h1"]);
+    assert.deepEqual(texts(xpath(root, "//div/p")), ["First bold paragraph", "Second"]);
+    assert.deepEqual(texts(xpath(root, "//p[@class='content']")), ["Second"]);
+    assert.deepEqual(names(xpath(root, "//b/..")), ["p"]);
+    assert.deepEqual(names(xpath(root, "//h1/following-sibling::*")), ["p", "p", "ul"]);
+    assert.deepEqual(names(xpath(root, "//li[2]/preceding-sibling::node()")), ["li"]);
+    assert.deepEqual(names(xpath(root, "//b/ancestor::*")), ["html", "body", "div", "p"]);
+    assert.deepEqual(names(xpath(root, "//b/ancestor::*[1]")), ["p"]);
+    assert.deepEqual(texts(xpath(root, "//ul/descendant-or-self::li[last()]")), ["3"]);
+    assert.deepEqual(names(xpath(root, "//h1/following::*[1] | //h1/preceding::*")), ["head", "p"]);
+    assert.deepEqual(names(xpath(root, "//DIV")), ["div"]);
+  })
+);
+
+results.push(
+  test("predicates and positions", () => {
+    const root = getDoc();
+    assert.deepEqual(texts(xpath(root, "//li[position() > 1]")), ["2", "3"]);
+    assert.deepEqual(texts(xpath(root, "(//li)[last()]")), ["3"]);
+    assert.deepEqual(texts(xpath(root, "//li[. = '2' or . = 3]")), ["2", "3"]);
+    assert.deepEqual(texts(xpath(root, "//p[b][1]")), ["First bold paragraph"]);
+    assert.deepEqual(texts(xpath(root, "//li[position() mod 2 = 1][2]")), ["3"]);
+    assert.deepEqual(names(xpath(root, "//*[contains(@class, 'tent')]")), ["p"]);
+  })
+);
+
+results.push(
+  test("text, comment and attribute nodes", () => {
+    const root = getDoc();
+    assert.deepEqual(
+      xpath(root, "//div/p[1]/text()").map((n) => n.data),
+      ["First ", " paragraph"]
+    );
+    assert.equal(xpath(root, "//comment()")[0].data, " note ");
+    const attrs = xpath(root, "//div/@*");
+    assert.deepEqual(
+      attrs.map((a) => [a.name, a.value]),
+      [
+        ["id", "main"],
+        ["class", "container"],
+      ]
+    );
+    assert.equal(attrs[0].ownerElement.name, "div");
+    assert.equal(xpath(root, "string(//@xlink:href)"), "#x");
+    assert.deepEqual(names(xpath(root, "//svg:rect/..")), ["a"]);
+    assert.equal(xpath(root, "name(//@*[local-name() = 'viewBox'])"), "viewBox");
+  })
+);
+
+results.push(
+  test("template contents are part of the tree", () => {
+    const root = getDoc();
+    assert.deepEqual(texts(xpath(root, "//template/p")), ["Inside"]);
+    assert.deepEqual(names(xpath(root, "//p[@class='tpl']/parent::*")), ["template"]);
+    assert.equal(xpath(root, "count(//p)"), 3);
+  })
+);
+
+results.push(
+  test("core functions and value types", () => {
+    const root = getDoc();
+    assert.equal(xpath(root, "count(//li)"), 3);
+    assert.equal(xpath(root, "sum(//li) div count(//li)"), 2);
+    assert.equal(xpath(root, "string(//h1)"), "Title");
+    assert.equal(xpath(root, "normalize-space(//p[1])"), "First bold paragraph");
+    assert.equal(xpath(root, "concat(name(/*), '-', string(1 div 0), '-', 0.5 * 3)"), "html-Infinity-1.5");
+    assert.equal(xpath(root, "substring('12345', 1.5, 2.6)"), "234");
+    assert.equal(xpath(root, "substring-after(//p[2]/@class, 'con')"), "tent");
+    assert.equal(xpath(root, "translate('bar', 'abc', 'AB')"), "BAr");
+    assert.equal(xpath(root, "string-length(//h1)"), 5);
+    assert.equal(xpath(root, "round(2.5) + floor(-1.5) + ceiling(0.2)"), 2);
+    assert.equal(xpath(root, "boolean(//table)"), false);
+    assert.equal(xpath(root, "//li = 2 and not(//li = 4)"), true);
+    assert.equal(xpath(root, "//li > 2"), true);
+    assert.deepEqual(names(xpath(root, "id('main')/h1")), ["h1"]);
+    assert.equal(xpath(xpath(root, "//b")[0], "lang('EN')"), true);
+    assert.equal(xpath(root, "$n * 2", { variables: { n: 21 } }), 42);
+  })
+);
+
+results.push(
+  test("relative expressions use the given node as context", () => {
+    const root = getDoc();
+    const ul = xpath(root, "//ul")[0];
+    assert.deepEqual(texts(xpath(ul, "li[1] | li[3]")), ["1", "3"]);
+    assert.equal(xpath(ul, "count(/html)"), 1);
+    assert.equal(xpath(ul, "name(..)"), "div");
+  })
+);
+
+results.push(
+  test("errors", () => {
+    const root = getDoc();
+    for (const expression of ["", "//", "//p[", "foo(1)", "count(1)", "//p bar", "bogus::p", "$missing", "'open"]) {
+      assert.throws(() => xpath(root, expression), XPathError, expression);
+    }
+  })
+);
+
+const failed = results.filter((r) => !r.ok);
+if (failed.length) {
+  for (const r of failed) {
+    console.error(`xpath FAIL: ${r.name}`);
+    console.error(r.err);
+  }
+  console.error(`xpath: ${results.length - failed.length}/${results.length} passed, ${failed.length} failed`);
+  process.exit(1);
+}
+
+console.log(`xpath: ${results.length}/${results.length} passed`);
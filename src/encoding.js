@@ -381,7 +381,7 @@ export function sniffHTMLEncoding(data, { transportEncoding = null } = {}) {
   return { encoding: "windows-1252", bomLength: 0 };
 }
 
-export function decodeHTML(data, { transportEncoding = null } = {}) {
+function openDecoder(data, transportEncoding) {
   const { encoding, bomLength } = sniffHTMLEncoding(data, { transportEncoding });
 
   let enc = encoding;
@@ -404,14 +404,62 @@ export function decodeHTML(data, { transportEncoding = null } = {}) {
     const [bomEnc, bomLen] = sniffBOM(payload);
     if (bomEnc === "utf-16le" || bomEnc === "utf-16be") {
       payload = payload.subarray(bomLen);
-      const text = new TextDecoder(bomEnc).decode(payload);
-      return { text, encoding: enc };
+      return { encoding: enc, decoder: new TextDecoder(bomEnc), payload };
     }
-    const text = new TextDecoder("utf-16le").decode(payload);
-    return { text, encoding: enc };
+    return { encoding: enc, decoder: new TextDecoder("utf-16le"), payload };
   }
 
-  const text = new TextDecoder(enc).decode(payload);
-  return { text, encoding: enc };
+  return { encoding: enc, decoder: new TextDecoder(enc), payload };
+}
+
+export function decodeHTML(data, { transportEncoding = null } = {}) {
+  const { encoding, decoder, payload } = openDecoder(data, transportEncoding);
+  return { text: decoder.decode(payload), encoding };
 }
 
+// Bytes buffered before sniffing a stream without a transport encoding (the spec's prescan limit).
+const STREAM_SNIFF_BYTES = 1024;
+
+// Decodes bytes as they arrive; sniffing waits until enough of the stream is buffered.
+export class HTMLStreamDecoder {
+  constructor({ transportEncoding = null } = {}) {
+    this.transportEncoding = transportEncoding;
+    this.encoding = null;
+    this.decoder = null;
+    this.pending = [];
+    this.pendingLength = 0;
+  }
+
+  decode(bytes) {
+    if (this.decoder) return this.decoder.decode(bytes, { stream: true });
+
+    this.pending.push(bytes);
+    this.pendingLength += bytes.length;
+
+    const transport = normalizeEncodingLabel(this.transportEncoding);
+    // A "utf-16" transport label still needs two bytes to look for a BOM.
+    const ready = transport ? transport !== "utf-16" || this.pendingLength >= 2 : this.pendingLength >= STREAM_SNIFF_BYTES;
+    return ready ? this._start(true) : "";
+  }
+
+  flush() {
+    if (!this.decoder) return this._start(false);
+    return this.decoder.decode();
+  }
+
+  _start(stream) {
+    const data = new Uint8Array(this.pendingLength);
+    let offset = 0;
+    for (const chunk of this.pending) {
+      data.set(chunk, offset);
+      offset += chunk.length;
+    }
+    this.pending = [];
+    this.pendingLength = 0;
+
+    const { encoding, decoder, payload } = openDecoder(data, this.transportEncoding);
+    this.encoding = encoding;
+    this.decoder = decoder;
+    return decoder.decode(payload, { stream });
+  }
+}
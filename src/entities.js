@@ -154,6 +154,21 @@ export function decodeNumericEntity(text, { isHex = false } = {}) {
   return String.fromCodePoint(codepoint);
 }
 
+// The parse error a numeric character reference to this code point reports, if any.
+function numericReferenceError(codepoint) {
+  if (codepoint === 0) return "null-character-reference";
+  if (codepoint > 0x10ffff) return "character-reference-outside-unicode-range";
+  if (codepoint >= 0xd800 && codepoint <= 0xdfff) return "surrogate-character-reference";
+  if ((codepoint >= 0xfdd0 && codepoint <= 0xfdef) || (codepoint & 0xfffe) === 0xfffe) {
+    return "noncharacter-character-reference";
+  }
+  const isWhitespace = codepoint === 0x09 || codepoint === 0x0a || codepoint === 0x0c || codepoint === 0x20;
+  if ((codepoint < 0x20 && !isWhitespace) || (codepoint >= 0x7f && codepoint <= 0x9f)) {
+    return "control-character-reference";
+  }
+  return null;
+}
+
 function isAsciiAlpha(ch) {
   const c = ch.charCodeAt(0);
   return (c >= 0x41 && c <= 0x5a) || (c >= 0x61 && c <= 0x7a);
@@ -168,7 +183,8 @@ function isAsciiAlnum(ch) {
   return isAsciiAlpha(ch) || isAsciiDigit(ch);
 }
 
-export function decodeEntitiesInText(text, { inAttribute = false } = {}) {
+// onError(code, index) receives parse errors; index is the position in text just past the reference.
+export function decodeEntitiesInText(text, { inAttribute = false, onError = null } = {}) {
   const result = [];
   let i = 0;
   const length = text.length;
@@ -206,11 +222,17 @@ export function decodeEntitiesInText(text, { inAttribute = false } = {}) {
       const digitText = text.slice(digitStart, j);
 
       if (digitText) {
+        if (onError) {
+          if (!hasSemicolon) onError("missing-semicolon-after-character-reference", j);
+          const code = numericReferenceError(Number.parseInt(digitText, isHex ? 16 : 10));
+          if (code) onError(code, hasSemicolon ? j + 1 : j);
+        }
         result.push(decodeNumericEntity(digitText, { isHex }));
         i = hasSemicolon ? j + 1 : j;
         continue;
       }
 
+      if (onError) onError("absence-of-digits-in-numeric-character-reference", j);
       result.push(text.slice(i, hasSemicolon ? j + 1 : j));
       i = hasSemicolon ? j + 1 : j;
       continue;
@@ -246,6 +268,7 @@ export function decodeEntitiesInText(text, { inAttribute = false } = {}) {
         }
       }
       if (bestMatch) {
+        if (onError) onError("missing-semicolon-after-character-reference", i + 1 + bestMatchLen);
         result.push(bestMatch);
         i = i + 1 + bestMatchLen;
         continue;
@@ -260,6 +283,7 @@ export function decodeEntitiesInText(text, { inAttribute = false } = {}) {
         continue;
       }
 
+      if (onError) onError("missing-semicolon-after-character-reference", j);
       result.push(NAMED_ENTITIES[entityName]);
       i = j;
       continue;
@@ -283,12 +307,14 @@ export function decodeEntitiesInText(text, { inAttribute = false } = {}) {
         continue;
       }
 
+      if (onError) onError("missing-semicolon-after-character-reference", i + 1 + bestMatchLen);
       result.push(bestMatch);
       i = i + 1 + bestMatchLen;
       continue;
     }
 
     if (hasSemicolon) {
+      if (onError) onError("unknown-named-character-reference", j + 1);
       result.push(text.slice(i, j + 1));
       i = j + 1;
     } else {
@@ -1,7 +1,22 @@
-export { JustHTML, StrictModeError } from "./justhtml.js";
+export { JustHTML, JustHTMLParser, StrictModeError } from "./justhtml.js";
 export { FragmentContext } from "./context.js";
 export { ParseError } from "./tokens.js";
 export { Node } from "./node.js";
-export { SelectorError, matches, query } from "./selector.js";
-export { stream } from "./stream.js";
-export { toHTML, toTestFormat } from "./serialize.js";
+export {
+  SelectorError,
+  closest,
+  compileSelector,
+  matches,
+  matchingSelectors,
+  query,
+  queryIter,
+  queryOne,
+  registerNamespacePrefix,
+  specificity,
+} from "./selector.js";
+export { findRoundTripDivergence, isRoundTripStable } from "./roundtrip.js";
+export { rewrite } from "./rewriter.js";
+export { DEFAULT_POLICY, sanitize } from "./sanitize.js";
+export { stream, streamAsync } from "./stream.js";
+export { serializeHTML, toHTML, toTestFormat } from "./serialize.js";
+export { XPathError, xpath } from "./xpath.js";
@@ -1,5 +1,5 @@
-import { decodeHTML } from "./encoding.js";
-import { parseDocument } from "./parser.js";
+import { HTMLStreamDecoder, decodeHTML } from "./encoding.js";
+import { createParser, finishParse, parseDocument } from "./parser.js";
 
 export class StrictModeError extends SyntaxError {
   constructor(error) {
@@ -8,6 +8,22 @@ export class StrictModeError extends SyntaxError {
   }
 }
 
+function adoptParse(doc, parsed, { collectErrors = false, strict = false, iframeSrcdoc = false, trackLocations = false }) {
+  doc.root = parsed.root;
+  doc.errors = parsed.errors;
+  // "no-quirks", "limited-quirks" or "quirks", as decided by the doctype.
+  doc.quirksMode = parsed.treeBuilder.quirks_mode;
+
+  doc.collectErrors = Boolean(collectErrors);
+  doc.strict = Boolean(strict);
+  doc.iframeSrcdoc = Boolean(iframeSrcdoc);
+  doc.trackLocations = Boolean(trackLocations);
+
+  if (doc.strict && doc.errors.length) {
+    throw new StrictModeError(doc.errors[0]);
+  }
+}
+
 export class JustHTML {
   constructor(input, options = {}) {
     const {
@@ -16,6 +32,7 @@ export class JustHTML {
       strict = false,
       fragmentContext = null,
       iframeSrcdoc = false,
+      trackLocations = false,
       tokenizerOpts = null,
     } = options;
 
@@ -46,18 +63,21 @@ export class JustHTML {
       fragmentContext,
       iframeSrcdoc: Boolean(iframeSrcdoc),
       collectErrors: shouldCollect,
+      trackLocations: Boolean(trackLocations),
       tokenizerOpts,
     });
-    this.root = parsed.root;
-    this.errors = parsed.errors;
+    adoptParse(this, parsed, options);
+  }
 
-    this.collectErrors = Boolean(collectErrors);
-    this.strict = Boolean(strict);
-    this.iframeSrcdoc = Boolean(iframeSrcdoc);
+  // The DOM's name for the mode: "BackCompat" in quirks mode, otherwise "CSS1Compat".
+  get compatMode() {
+    return this.quirksMode === "quirks" ? "BackCompat" : "CSS1Compat";
+  }
 
-    if (this.strict && this.errors.length) {
-      throw new StrictModeError(this.errors[0]);
-    }
+  // The Doctype ({ name, publicId, systemId }) from the document's <!DOCTYPE>, or null without one.
+  get doctype() {
+    const node = this.root.children.find((child) => child.name === "!doctype");
+    return node ? node.data : null;
   }
 
   toText(options) {
@@ -80,6 +100,14 @@ export class JustHTML {
     return this.root.query(selector);
   }
 
+  queryOne(selector) {
+    return this.root.queryOne(selector);
+  }
+
+  queryIter(selector) {
+    return this.root.queryIter(selector);
+  }
+
   toMarkdown() {
     return this.root.toMarkdown();
   }
@@ -88,3 +116,74 @@ export class JustHTML {
     return this.toMarkdown();
   }
 }
+
+// Incremental counterpart of JustHTML: write() chunks as they arrive, then end() returns the document.
+export class JustHTMLParser {
+  constructor(options = {}) {
+    const {
+      collectErrors = false,
+      encoding = null,
+      strict = false,
+      fragmentContext = null,
+      iframeSrcdoc = false,
+      trackLocations = false,
+      tokenizerOpts = null,
+    } = options;
+
+    this.options = options;
+    this.transportEncoding = encoding;
+    this.decoder = null;
+    this.textInput = false;
+    this.ended = false;
+
+    const parser = createParser({
+      fragmentContext,
+      iframeSrcdoc: Boolean(iframeSrcdoc),
+      collectErrors: Boolean(collectErrors) || Boolean(strict),
+      trackLocations: Boolean(trackLocations),
+      tokenizerOpts,
+    });
+    this.tokenizer = parser.tokenizer;
+    this.treeBuilder = parser.treeBuilder;
+    this.tokenizer.initialize("", { final: false });
+  }
+
+  get encoding() {
+    return this.decoder ? this.decoder.encoding : null;
+  }
+
+  write(chunk) {
+    if (this.ended) throw new Error("Cannot write to a parser that has ended");
+    if (chunk == null) return this;
+
+    let text;
+    if (chunk instanceof ArrayBuffer || chunk instanceof Uint8Array) {
+      if (this.textInput) throw new TypeError("Cannot mix string and byte chunks");
+      if (!this.decoder) this.decoder = new HTMLStreamDecoder({ transportEncoding: this.transportEncoding });
+      text = this.decoder.decode(chunk instanceof ArrayBuffer ? new Uint8Array(chunk) : chunk);
+    } else {
+      if (this.decoder) throw new TypeError("Cannot mix string and byte chunks");
+      this.textInput = true;
+      text = String(chunk);
+    }
+
+    this.tokenizer.feed(text);
+    this.tokenizer.pump();
+    return this;
+  }
+
+  end(chunk = null) {
+    this.write(chunk);
+    this.ended = true;
+
+    if (this.decoder) this.tokenizer.feed(this.decoder.flush());
+    this.tokenizer.end();
+    this.tokenizer.pump();
+
+    const doc = Object.create(JustHTML.prototype);
+    doc.encoding = this.encoding;
+    doc.fragmentContext = this.options.fragmentContext || null;
+    adoptParse(doc, finishParse(this), this.options);
+    return doc;
+  }
+}
@@ -1,8 +1,168 @@
-import { toHTML } from "./serialize.js";
-import { query } from "./selector.js";
+import { FragmentContext } from "./context.js";
+import { parseDocument } from "./parser.js";
+import { serializeHTML, serializeInnerHTML, toHTML } from "./serialize.js";
+import { closest, query, queryIter, queryOne } from "./selector.js";
 import { toMarkdown } from "./markdown.js";
 
+function isElement(node) {
+  return !node.name.startsWith("#") && node.name !== "!doctype";
+}
+
+function asciiLower(value) {
+  return value.replace(/[A-Z]/g, (ch) => ch.toLowerCase());
+}
+
+function checkClassToken(token) {
+  if (token === "") throw new Error("Class names cannot be empty");
+  if (/[\t\n\f\r ]/.test(token)) throw new Error(`Class names cannot contain whitespace: ${JSON.stringify(token)}`);
+  return token;
+}
+
+// A live view of an element's class attribute. Every change is written straight back to attrs.class.
+class ClassList {
+  constructor(node) {
+    this._node = node;
+  }
+
+  get value() {
+    return this._node.getAttribute("class") ?? "";
+  }
+
+  set value(value) {
+    this._node.setAttribute("class", value);
+  }
+
+  _tokens() {
+    return [...new Set(this.value.split(/[\t\n\f\r ]+/).filter(Boolean))];
+  }
+
+  _write(tokens) {
+    this._node.setAttribute("class", tokens.join(" "));
+  }
+
+  get length() {
+    return this._tokens().length;
+  }
+
+  item(index) {
+    return this._tokens()[index] ?? null;
+  }
+
+  contains(token) {
+    return this._tokens().includes(token);
+  }
+
+  add(...tokens) {
+    const current = this._tokens();
+    for (const token of tokens) {
+      if (!current.includes(checkClassToken(token))) current.push(token);
+    }
+    this._write(current);
+  }
+
+  remove(...tokens) {
+    tokens.forEach(checkClassToken);
+    if (!this._node.hasAttribute("class")) return;
+    this._write(this._tokens().filter((token) => !tokens.includes(token)));
+  }
+
+  // Adds or removes token (force picks which) and returns whether it is present afterwards.
+  toggle(token, force) {
+    const present = this.contains(checkClassToken(token));
+    const wanted = force === undefined ? !present : Boolean(force);
+    if (wanted && !present) this.add(token);
+    if (!wanted && present) this.remove(token);
+    return wanted;
+  }
+
+  replace(token, newToken) {
+    checkClassToken(token);
+    checkClassToken(newToken);
+    const current = this._tokens();
+    const index = current.indexOf(token);
+    if (index === -1) return false;
+    current[index] = newToken;
+    this._write([...new Set(current)]);
+    return true;
+  }
+
+  [Symbol.iterator]() {
+    return this._tokens()[Symbol.iterator]();
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+// data-foo-bar <-> fooBar, as HTMLElement.dataset names them.
+function datasetAttribute(key) {
+  return `data-${key.replace(/[A-Z]/g, (ch) => `-${ch.toLowerCase()}`)}`;
+}
+
+function datasetKey(name) {
+  if (!name.startsWith("data-") || /[A-Z]/.test(name)) return null;
+  return name.slice(5).replace(/-([a-z])/g, (_, ch) => ch.toUpperCase());
+}
+
+function createDataset(node) {
+  const attributeFor = (key) => (typeof key === "string" ? datasetAttribute(key) : null);
+  const keys = () => Object.keys(node.attrs).map(datasetKey).filter((key) => key != null);
+
+  return new Proxy(
+    {},
+    {
+      get: (_, key) => (attributeFor(key) && node.getAttribute(attributeFor(key))) ?? undefined,
+      set: (_, key, value) => {
+        if (!attributeFor(key)) return false;
+        node.setAttribute(attributeFor(key), value);
+        return true;
+      },
+      has: (_, key) => attributeFor(key) != null && node.hasAttribute(attributeFor(key)),
+      deleteProperty: (_, key) => {
+        if (attributeFor(key)) node.removeAttribute(attributeFor(key));
+        return true;
+      },
+      ownKeys: () => keys(),
+      getOwnPropertyDescriptor: (_, key) => {
+        if (!keys().includes(key)) return undefined;
+        return { value: node.getAttribute(attributeFor(key)), writable: true, enumerable: true, configurable: true };
+      },
+    }
+  );
+}
+
+// Parses html with context as the context element, as innerHTML does, and returns the new top-level nodes.
+function parseFragment(html, context) {
+  const namespace = context.namespace === "html" ? null : context.namespace;
+  const fragmentContext = new FragmentContext(context.name, namespace);
+  return [...parseDocument(String(html ?? ""), { fragmentContext }).root.children];
+}
+
+// Gives unrelated trees a stable relative order for compareDocumentPosition().
+const treeOrder = new WeakMap();
+let nextTreeOrder = 0;
+
+function treeOrderOf(root) {
+  if (!treeOrder.has(root)) treeOrder.set(root, nextTreeOrder++);
+  return treeOrder.get(root);
+}
+
+// The node and its ancestors, outermost first.
+function pathFromRoot(node) {
+  const path = [];
+  for (let current = node; current; current = current.parent) path.push(current);
+  return path.reverse();
+}
+
 export class Node {
+  static DOCUMENT_POSITION_DISCONNECTED = 0x01;
+  static DOCUMENT_POSITION_PRECEDING = 0x02;
+  static DOCUMENT_POSITION_FOLLOWING = 0x04;
+  static DOCUMENT_POSITION_CONTAINS = 0x08;
+  static DOCUMENT_POSITION_CONTAINED_BY = 0x10;
+  static DOCUMENT_POSITION_IMPLEMENTATION_SPECIFIC = 0x20;
+
   constructor(name, { attrs = null, data = null, namespace = "html" } = {}) {
     this.name = name;
     this.namespace = name.startsWith("#") || name === "!doctype" ? namespace ?? null : namespace || "html";
@@ -10,6 +170,8 @@ export class Node {
     this.data = data;
     this.attrs = attrs ?? {};
     this.children = [];
+    // Populated by the parser when `trackLocations` is enabled; stays null for implied nodes.
+    this.sourceCodeLocation = null;
 
     this.templateContent = null;
     if (name === "template" && (this.namespace == null || this.namespace === "html")) {
@@ -74,6 +236,225 @@ export class Node {
     return this.hasChildNodes();
   }
 
+  get localName() {
+    return isElement(this) ? this.name : null;
+  }
+
+  // Upper-cased for HTML elements, as in the DOM; SVG and MathML names keep their case.
+  get tagName() {
+    if (!isElement(this)) return null;
+    return this.namespace === "html" ? this.name.replace(/[a-z]/g, (ch) => ch.toUpperCase()) : this.name;
+  }
+
+  // Attribute names are case-insensitive on HTML elements and exact on SVG and MathML ones (viewBox, xlink:href).
+  _attributeName(name) {
+    const text = String(name);
+    return this.namespace === "html" ? asciiLower(text) : text;
+  }
+
+  getAttribute(name) {
+    const key = this._attributeName(name);
+    return Object.hasOwn(this.attrs, key) ? String(this.attrs[key] ?? "") : null;
+  }
+
+  hasAttribute(name) {
+    return Object.hasOwn(this.attrs, this._attributeName(name));
+  }
+
+  setAttribute(name, value) {
+    this.attrs[this._attributeName(name)] = String(value);
+  }
+
+  removeAttribute(name) {
+    delete this.attrs[this._attributeName(name)];
+  }
+
+  // Adds (as an empty value) or removes name, with force picking which; returns whether it is present afterwards.
+  toggleAttribute(name, force) {
+    const present = this.hasAttribute(name);
+    const wanted = force === undefined ? !present : Boolean(force);
+    if (wanted && !present) this.setAttribute(name, "");
+    if (!wanted && present) this.removeAttribute(name);
+    return wanted;
+  }
+
+  get id() {
+    return this.getAttribute("id") ?? "";
+  }
+
+  set id(value) {
+    this.setAttribute("id", value);
+  }
+
+  get classList() {
+    return new ClassList(this);
+  }
+
+  // data-* attributes by camelCase name: data-user-id is dataset.userId.
+  get dataset() {
+    return createDataset(this);
+  }
+
+  // Position among the parent's children, or -1 without a parent.
+  get index() {
+    return this.parent ? this.parent.children.indexOf(this) : -1;
+  }
+
+  get firstChild() {
+    return this.children[0] ?? null;
+  }
+
+  get lastChild() {
+    return this.children[this.children.length - 1] ?? null;
+  }
+
+  get previousSibling() {
+    const index = this.index;
+    return index > 0 ? this.parent.children[index - 1] : null;
+  }
+
+  get nextSibling() {
+    const index = this.index;
+    return index === -1 ? null : this.parent.children[index + 1] ?? null;
+  }
+
+  get firstElementChild() {
+    return this.children.find(isElement) ?? null;
+  }
+
+  get lastElementChild() {
+    return this.children.findLast(isElement) ?? null;
+  }
+
+  get previousElementSibling() {
+    const siblings = this.parent?.children ?? [];
+    for (let i = this.index - 1; i >= 0; i -= 1) {
+      if (isElement(siblings[i])) return siblings[i];
+    }
+    return null;
+  }
+
+  get nextElementSibling() {
+    const siblings = this.parent?.children ?? [];
+    for (let i = this.index + 1; i > 0 && i < siblings.length; i += 1) {
+      if (isElement(siblings[i])) return siblings[i];
+    }
+    return null;
+  }
+
+  get childElementCount() {
+    return this.children.filter(isElement).length;
+  }
+
+  // Parent, grandparent and so on up to the root. A template's content fragment is its own root.
+  *ancestors() {
+    for (let current = this.parent; current; current = current.parent) yield current;
+  }
+
+  // Every node below this one in document order. With includeTemplateContent, the contents of
+  // <template> elements are visited after the template's own children.
+  *descendants({ includeTemplateContent = false } = {}) {
+    const pending = [];
+    const pushChildren = (node) => {
+      const content = includeTemplateContent && node.templateContent ? node.templateContent.children : [];
+      for (let i = content.length - 1; i >= 0; i -= 1) pending.push(content[i]);
+      for (let i = node.children.length - 1; i >= 0; i -= 1) pending.push(node.children[i]);
+    };
+
+    pushChildren(this);
+    while (pending.length) {
+      const node = pending.pop();
+      yield node;
+      pushChildren(node);
+    }
+  }
+
+  // True when other is this node or one of its descendants.
+  contains(other) {
+    for (let current = other; current; current = current.parent) {
+      if (current === this) return true;
+    }
+    return false;
+  }
+
+  // A bitmask of Node.DOCUMENT_POSITION_* flags describing where other is relative to this node.
+  compareDocumentPosition(other) {
+    if (other === this) return 0;
+
+    const ours = pathFromRoot(this);
+    const theirs = pathFromRoot(other);
+    if (ours[0] !== theirs[0]) {
+      const direction =
+        treeOrderOf(theirs[0]) < treeOrderOf(ours[0])
+          ? Node.DOCUMENT_POSITION_PRECEDING
+          : Node.DOCUMENT_POSITION_FOLLOWING;
+      return Node.DOCUMENT_POSITION_DISCONNECTED | Node.DOCUMENT_POSITION_IMPLEMENTATION_SPECIFIC | direction;
+    }
+
+    let depth = 0;
+    while (ours[depth + 1] && ours[depth + 1] === theirs[depth + 1]) depth += 1;
+    if (depth === theirs.length - 1) return Node.DOCUMENT_POSITION_CONTAINS | Node.DOCUMENT_POSITION_PRECEDING;
+    if (depth === ours.length - 1) return Node.DOCUMENT_POSITION_CONTAINED_BY | Node.DOCUMENT_POSITION_FOLLOWING;
+
+    const siblings = ours[depth].children;
+    return siblings.indexOf(theirs[depth + 1]) < siblings.indexOf(ours[depth + 1])
+      ? Node.DOCUMENT_POSITION_PRECEDING
+      : Node.DOCUMENT_POSITION_FOLLOWING;
+  }
+
+  _replaceChildren(nodes) {
+    for (const child of this.children) child.parent = null;
+    this.children = [];
+    for (const node of nodes) this.appendChild(node);
+  }
+
+  get innerHTML() {
+    return serializeInnerHTML(this);
+  }
+
+  // Replaces the children (a template's contents) with html parsed in the context of this element.
+  set innerHTML(html) {
+    if (!isElement(this)) throw new Error("innerHTML can only be set on elements");
+    const target = this.templateContent ?? this;
+    target._replaceChildren(parseFragment(html, this));
+  }
+
+  get outerHTML() {
+    return serializeHTML(this);
+  }
+
+  // Replaces this node with html parsed in the context of its parent; does nothing without a parent.
+  set outerHTML(html) {
+    const parent = this.parent;
+    if (!parent) return;
+    if (parent.name === "#document") throw new Error("Cannot replace a child of the document with outerHTML");
+    const context = parent.name === "#document-fragment" ? { name: "body", namespace: "html" } : parent;
+    const nodes = parseFragment(html, context);
+    const index = this.index;
+    parent.removeChild(this);
+    parent.children.splice(index, 0, ...nodes);
+    for (const node of nodes) node.parent = parent;
+  }
+
+  // The data of text and comment nodes; for elements, all descendant text outside template contents.
+  get textContent() {
+    if (this.name === "#text" || this.name === "#comment") return String(this.data ?? "");
+    if (this.name === "#document" || this.name === "!doctype") return null;
+    let text = "";
+    for (const node of this.descendants()) {
+      if (node.name === "#text") text += node.data ?? "";
+    }
+    return text;
+  }
+
+  set textContent(value) {
+    const text = value == null ? "" : String(value);
+    if (this.name === "#text" || this.name === "#comment") this.data = text;
+    else if (this.name !== "#document" && this.name !== "!doctype") {
+      this._replaceChildren(text ? [new Node("#text", { data: text })] : []);
+    }
+  }
+
   get text() {
     if (this.name === "#text") return this.data || "";
     return "";
@@ -113,6 +494,18 @@ export class Node {
     return query(this, selector);
   }
 
+  queryOne(selector) {
+    return queryOne(this, selector);
+  }
+
+  queryIter(selector) {
+    return queryIter(this, selector);
+  }
+
+  closest(selector) {
+    return closest(this, selector);
+  }
+
   toMarkdown() {
     return toMarkdown(this);
   }
@@ -1,16 +1,27 @@
 import { Tokenizer, TokenizerOpts } from "./tokenizer.js";
 import { TreeBuilder } from "./treebuilder.js";
 
-export function parseDocument(html, options = {}) {
+function sortBySourcePosition(errors) {
+  // Stable sort; errors without a position keep their relative order at the end.
+  return errors.sort((a, b) => {
+    if (a.line == null || b.line == null) return (a.line == null) - (b.line == null);
+    return a.line - b.line || a.column - b.column;
+  });
+}
+
+// Wire a tree builder and tokenizer together; the caller feeds the tokenizer and then calls finishParse().
+export function createParser(options = {}) {
   const {
     fragmentContext = null,
     iframeSrcdoc = false,
     collectErrors = false,
+    trackLocations = false,
     tokenizerOpts = null,
   } = options;
 
   const shouldCollect = Boolean(collectErrors);
-  const treeBuilder = new TreeBuilder(fragmentContext, iframeSrcdoc, shouldCollect);
+  const shouldTrack = Boolean(trackLocations);
+  const treeBuilder = new TreeBuilder(fragmentContext, iframeSrcdoc, shouldCollect, shouldTrack);
   treeBuilder.openElements = treeBuilder.open_elements;
 
   const opts = tokenizerOpts instanceof TokenizerOpts ? tokenizerOpts : new TokenizerOpts(tokenizerOpts || {});
@@ -18,7 +29,10 @@ export function parseDocument(html, options = {}) {
   // Match justhtml's fragment tokenizer state overrides.
   if (fragmentContext && !fragmentContext.namespace) {
     const tagName = (fragmentContext.tag_name || fragmentContext.tagName || "").toLowerCase();
-    if (tagName === "textarea" || tagName === "title" || tagName === "style") {
+    if (tagName === "textarea" || tagName === "title") {
+      opts.initialState = Tokenizer.RCDATA;
+      opts.initialRawtextTag = tagName;
+    } else if (["style", "xmp", "iframe", "noembed", "noframes"].includes(tagName)) {
       opts.initialState = Tokenizer.RAWTEXT;
       opts.initialRawtextTag = tagName;
     } else if (tagName === "plaintext" || tagName === "script") {
@@ -27,12 +41,21 @@ export function parseDocument(html, options = {}) {
     }
   }
 
-  const tokenizer = new Tokenizer(treeBuilder, opts, { collectErrors: shouldCollect });
+  const tokenizer = new Tokenizer(treeBuilder, opts, { collectErrors: shouldCollect, trackLocations: shouldTrack });
   treeBuilder.tokenizer = tokenizer;
 
-  tokenizer.run(html || "");
+  return { tokenizer, treeBuilder };
+}
+
+export function finishParse({ tokenizer, treeBuilder }) {
   const root = treeBuilder.finish();
-  const errors = [...tokenizer.errors, ...treeBuilder.errors];
+  const errors = sortBySourcePosition([...tokenizer.errors, ...treeBuilder.errors]);
 
   return { root, errors, tokenizer, treeBuilder };
 }
+
+export function parseDocument(html, options = {}) {
+  const parser = createParser(options);
+  parser.tokenizer.run(html || "");
+  return finishParse(parser);
+}
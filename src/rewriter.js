@@ -0,0 +1,683 @@
+import {
+  BUTTON_SCOPE_TERMINATORS,
+  DEFAULT_SCOPE_TERMINATORS,
+  FOREIGN_BREAKOUT_ELEMENTS,
+  HEADING_ELEMENTS,
+  HTML_INTEGRATION_POINT_SET,
+  IMPLIED_END_TAGS,
+  MATHML_ATTRIBUTE_ADJUSTMENTS,
+  MATHML_TEXT_INTEGRATION_POINT_SET,
+  SPECIAL_ELEMENTS,
+  SVG_ATTRIBUTE_ADJUSTMENTS,
+  SVG_TAG_NAME_ADJUSTMENTS,
+  VOID_ELEMENTS,
+  integrationPointKey,
+} from "./constants.js";
+import { decodeHTML } from "./encoding.js";
+import { matchesStreaming, parseStreamingSelector } from "./selector.js";
+import { Tokenizer, TokenizerOpts } from "./tokenizer.js";
+import { CommentToken, DoctypeToken, EOFToken, Tag, TokenSinkResult } from "./tokens.js";
+
+function escapeText(text) {
+  return String(text).replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;");
+}
+
+function escapeAttrValue(value) {
+  return String(value).replaceAll("&", "&amp;").replaceAll('"', "&quot;");
+}
+
+// Elements whose text the tokenizer reads as-is, without character references.
+const RAW_TEXT_ELEMENTS = new Set(["script", "style", "xmp", "iframe", "noembed", "noframes", "plaintext"]);
+
+// Content inside a raw text element is written unescaped, so it may not contain that element's end tag.
+function contentToHTML(content, html, rawTextElement = null) {
+  if (content == null) return "";
+  if (rawTextElement) {
+    const text = String(content);
+    if (rawTextElement !== "plaintext" && text.toLowerCase().includes(`</${rawTextElement}`)) {
+      throw new Error(`Content inserted into <${rawTextElement}> cannot contain "</${rawTextElement}"`);
+    }
+    return text;
+  }
+  return html ? String(content) : escapeText(content);
+}
+
+// Edits shared by elements, text and comments; content is escaped unless { html: true } is passed.
+class Rewritable {
+  constructor() {
+    this._before = [];
+    this._after = [];
+    this._replacement = null;
+    this._removed = false;
+  }
+
+  get removed() {
+    return this._removed;
+  }
+
+  before(content, { html = false } = {}) {
+    this._before.push(this._contentToHTML(content, html));
+    return this;
+  }
+
+  after(content, { html = false } = {}) {
+    this._after.unshift(this._contentToHTML(content, html));
+    return this;
+  }
+
+  replace(content, { html = false } = {}) {
+    this._replacement = this._contentToHTML(content, html);
+    this._removed = true;
+    return this;
+  }
+
+  remove() {
+    this._replacement = null;
+    this._removed = true;
+    return this;
+  }
+
+  _contentToHTML(content, html) {
+    return contentToHTML(content, html);
+  }
+
+  _render(raw) {
+    const body = this._removed ? (this._replacement ?? "") : raw;
+    return this._before.join("") + body + this._after.join("");
+  }
+}
+
+class TextChunk extends Rewritable {
+  constructor(text, rawTextElement = null) {
+    super();
+    this.text = text;
+    this._rawTextElement = rawTextElement;
+  }
+
+  _contentToHTML(content, html) {
+    return contentToHTML(content, html, this._rawTextElement);
+  }
+}
+
+class Comment extends Rewritable {
+  constructor(text) {
+    super();
+    this._text = text;
+    this._changed = false;
+  }
+
+  get text() {
+    return this._text;
+  }
+
+  set text(value) {
+    this._text = String(value);
+    this._changed = true;
+  }
+
+  _render(raw) {
+    return super._render(this._changed ? `<!--${this._text}-->` : raw);
+  }
+}
+
+class Element extends Rewritable {
+  constructor(tag, raw, attrSpans, isVoid, rawTextElement) {
+    super();
+    this._name = tag.name;
+    this._originalAttrs = tag.attrs || {};
+    this._attrs = { ...this._originalAttrs };
+    this._raw = raw;
+    this._attrSpans = attrSpans;
+    this._selfClosing = Boolean(tag.selfClosing);
+    this._void = isVoid;
+    this._renamed = false;
+    this._attrsChanged = false;
+    this._prepend = [];
+    this._append = [];
+    this._innerContent = null;
+    this._keepContent = false;
+    this._rawTextElement = rawTextElement;
+  }
+
+  get tagName() {
+    return this._name;
+  }
+
+  set tagName(name) {
+    const lower = String(name).toLowerCase();
+    if (lower === this._name) return;
+    this._name = lower;
+    this._renamed = true;
+  }
+
+  get attributes() {
+    return Object.entries(this._attrs);
+  }
+
+  get selfClosing() {
+    return this._selfClosing;
+  }
+
+  // False for void and self-closing foreign elements, whose content edits are ignored.
+  get canHaveContent() {
+    return !this._void;
+  }
+
+  getAttribute(name) {
+    const key = String(name).toLowerCase();
+    return Object.hasOwn(this._attrs, key) ? this._attrs[key] : null;
+  }
+
+  hasAttribute(name) {
+    return Object.hasOwn(this._attrs, String(name).toLowerCase());
+  }
+
+  setAttribute(name, value) {
+    this._attrs[String(name).toLowerCase()] = String(value);
+    this._attrsChanged = true;
+    return this;
+  }
+
+  removeAttribute(name) {
+    const key = String(name).toLowerCase();
+    if (Object.hasOwn(this._attrs, key)) {
+      delete this._attrs[key];
+      this._attrsChanged = true;
+    }
+    return this;
+  }
+
+  prepend(content, { html = false } = {}) {
+    this._prepend.unshift(contentToHTML(content, html, this._rawTextElement));
+    return this;
+  }
+
+  append(content, { html = false } = {}) {
+    this._append.push(contentToHTML(content, html, this._rawTextElement));
+    return this;
+  }
+
+  setInnerContent(content, { html = false } = {}) {
+    this._innerContent = contentToHTML(content, html, this._rawTextElement);
+    return this;
+  }
+
+  replace(content, options) {
+    this._keepContent = false;
+    return super.replace(content, options);
+  }
+
+  remove() {
+    this._keepContent = false;
+    return super.remove();
+  }
+
+  removeAndKeepContent() {
+    this._replacement = null;
+    this._removed = true;
+    this._keepContent = true;
+    return this;
+  }
+
+  // The source start tag, unless the name or attributes changed; unchanged attributes keep their source text.
+  _startTag() {
+    if (!this._renamed && !this._attrsChanged) return this._raw;
+
+    const parts = ["<", this._name];
+    for (const [name, value] of Object.entries(this._attrs)) {
+      const span = this._attrSpans[name];
+      if (span && this._originalAttrs[name] === value) {
+        parts.push(" ", span);
+      } else {
+        parts.push(" ", name, '="', escapeAttrValue(value), '"');
+      }
+    }
+    parts.push(this._selfClosing ? " />" : ">");
+    return parts.join("");
+  }
+}
+
+function childNamespace(parent, name) {
+  if (name === "svg") return "svg";
+  if (name === "math") return "math";
+
+  const namespace = parent.namespace;
+  if (namespace === "html") return "html";
+  const parentName = namespace === "svg" ? SVG_TAG_NAME_ADJUSTMENTS[parent.name] || parent.name : parent.name;
+  const key = integrationPointKey(namespace, parentName);
+  if (HTML_INTEGRATION_POINT_SET.has(key) || MATHML_TEXT_INTEGRATION_POINT_SET.has(key)) return "html";
+  return namespace;
+}
+
+// Start tags that close an open <p> (in button scope) first. <table> only does so outside quirks mode,
+// which is assumed here.
+const CLOSES_P = new Set([
+  "address",
+  "article",
+  "aside",
+  "blockquote",
+  "center",
+  "dd",
+  "details",
+  "dialog",
+  "dir",
+  "div",
+  "dl",
+  "dt",
+  "fieldset",
+  "figcaption",
+  "figure",
+  "footer",
+  "form",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "header",
+  "hgroup",
+  "hr",
+  "li",
+  "listing",
+  "main",
+  "menu",
+  "nav",
+  "ol",
+  "p",
+  "plaintext",
+  "pre",
+  "search",
+  "section",
+  "summary",
+  "table",
+  "ul",
+  "xmp",
+]);
+
+const TABLE_SECTIONS = ["tbody", "thead", "tfoot"];
+const CELL_ENDS = [new Set(["td", "th"]), new Set(["tr", ...TABLE_SECTIONS, "table", "template", "html"])];
+const ROW_ENDS = [new Set(["tr", "td", "th"]), new Set([...TABLE_SECTIONS, "table", "template", "html"])];
+const SECTION_ENDS = [
+  new Set([...TABLE_SECTIONS, "caption", "colgroup", "tr", "td", "th"]),
+  new Set(["table", "template", "html"]),
+];
+
+// For start tags inside a table: the elements they close, and the elements that stop the search.
+const TABLE_IMPLIED_ENDS = new Map([
+  ["td", CELL_ENDS],
+  ["th", CELL_ENDS],
+  ["tr", ROW_ENDS],
+  ...["caption", "colgroup", ...TABLE_SECTIONS].map((name) => [name, SECTION_ENDS]),
+]);
+
+// Elements that put a marker on the list of active formatting elements.
+const FORMATTING_MARKERS = new Set(["applet", "caption", "marquee", "object", "td", "template", "th"]);
+
+function isScopeBoundary(node, terminators) {
+  if (node.namespace === "html") return terminators.has(node.name);
+  const name = node.namespace === "svg" ? SVG_TAG_NAME_ADJUSTMENTS[node.name] || node.name : node.name;
+  const key = integrationPointKey(node.namespace, name);
+  return HTML_INTEGRATION_POINT_SET.has(key) || MATHML_TEXT_INTEGRATION_POINT_SET.has(key) || name === "annotation-xml";
+}
+
+function breaksOutOfForeignContent(tag) {
+  if (FOREIGN_BREAKOUT_ELEMENTS.has(tag.name)) return true;
+  const attrs = tag.attrs || {};
+  return tag.name === "font" && ("color" in attrs || "face" in attrs || "size" in attrs);
+}
+
+function rawTextElementName(node) {
+  return node.namespace === "html" && RAW_TEXT_ELEMENTS.has(node.name) ? node.name : null;
+}
+
+// Attribute names as the tree builder stores them on SVG and MathML elements, so selectors see the same casing.
+function adjustedAttributes(namespace, attrs) {
+  if (namespace === "html") return attrs;
+  const adjustments = namespace === "svg" ? SVG_ATTRIBUTE_ADJUSTMENTS : MATHML_ATTRIBUTE_ADJUSTMENTS;
+  const adjusted = {};
+  for (const [name, value] of Object.entries(attrs)) adjusted[adjustments[name] || name] = value;
+  return adjusted;
+}
+
+// Tokenizer sink that copies the source through, rewriting only what handlers touch.
+// Nesting follows the source tags plus the tree builder's implied end tags: a start tag closes what it would
+// close in a parsed document (an open <p>, <li>, <td>, ...), an end tag closes the nearest open element with
+// its name, and anything still open when the input ends is closed there.
+class RewriteSink {
+  constructor(handlers, source) {
+    this.handlers = handlers;
+    this.source = source;
+    this.tokenizer = null;
+    this.out = [];
+    // Source offset up to which output has been produced.
+    this.cursor = 0;
+    this.root = {
+      name: "#document",
+      namespace: "html",
+      parent: null,
+      childCount: 0,
+      typeCounts: new Map(),
+      textHandlers: [],
+      commentHandlers: [],
+    };
+    this.stack = [];
+    this.pendingText = null;
+    // Element whose content is being dropped (removed, replaced or given new inner content).
+    this.skipUntil = null;
+    // The tree builder's form element pointer: set by a <form> start tag and cleared only by </form>.
+    this.formElement = null;
+  }
+
+  get openElements() {
+    return this.stack;
+  }
+
+  get open_elements() {
+    return this.stack;
+  }
+
+  get _current() {
+    return this.stack.length ? this.stack[this.stack.length - 1] : this.root;
+  }
+
+  processToken(token) {
+    this._flushText();
+    const start = this.tokenizer.lastTokenStart;
+    const end = this.tokenizer.lastTokenEnd;
+
+    if (token instanceof Tag) {
+      this._copyTo(start);
+      const raw = this.source.slice(start, end);
+      this.cursor = end;
+      if (token.kind === Tag.START) this._startTag(token, raw);
+      else this._endTag(token, raw);
+    } else if (token instanceof CommentToken) {
+      this._copyTo(start);
+      const raw = this.source.slice(start, end);
+      this.cursor = end;
+      const handlers = this._current.commentHandlers;
+      if (this.skipUntil || !handlers.length) {
+        this._write(raw);
+      } else {
+        const comment = new Comment(token.data);
+        for (const handler of handlers) handler(comment);
+        this._write(comment._render(raw));
+      }
+    } else if (token instanceof DoctypeToken) {
+      this._copyTo(end);
+    } else if (token instanceof EOFToken) {
+      this._copyTo(this.source.length);
+      while (this.stack.length) this._close(this.stack.pop(), null);
+    }
+
+    return TokenSinkResult.Continue;
+  }
+
+  processCharacters(data) {
+    const start = this.tokenizer.lastTokenStart;
+    const end = this.tokenizer.lastTokenEnd;
+    if (this.pendingText) {
+      this.pendingText.data += data;
+      this.pendingText.end = end;
+    } else {
+      this.pendingText = { data, start, end };
+    }
+  }
+
+  _write(html) {
+    if (!this.skipUntil && html) this.out.push(html);
+  }
+
+  // Source the tokenizer drops without a token (a BOM, "</>") is passed through unchanged.
+  _copyTo(offset) {
+    if (offset > this.cursor) {
+      this._write(this.source.slice(this.cursor, offset));
+      this.cursor = offset;
+    }
+  }
+
+  _flushText() {
+    const text = this.pendingText;
+    if (!text) return;
+    this.pendingText = null;
+
+    this._copyTo(text.start);
+    const raw = this.source.slice(Math.max(text.start, this.cursor), text.end);
+    this.cursor = Math.max(this.cursor, text.end);
+    const parent = this._current;
+    const handlers = parent.textHandlers;
+    if (this.skipUntil || !handlers.length) {
+      this._write(raw);
+      return;
+    }
+
+    const chunk = new TextChunk(text.data, rawTextElementName(parent));
+    for (const handler of handlers) handler(chunk);
+    this._write(chunk._render(raw));
+  }
+
+  _startTag(tag, raw) {
+    // The tree builder ignores a <form> start tag while the form element pointer is set.
+    if (tag.name === "form" && this.formElement && childNamespace(this._current, "form") === "html") {
+      this._write(raw);
+      return;
+    }
+
+    this._closeImplied(tag);
+    const parent = this._current;
+    const name = tag.name;
+    const namespace = childNamespace(parent, name);
+    const typeIndex = (parent.typeCounts.get(name) || 0) + 1;
+    parent.typeCounts.set(name, typeIndex);
+    parent.childCount += 1;
+
+    const node = {
+      name,
+      namespace,
+      attrs: adjustedAttributes(namespace, tag.attrs || {}),
+      parent,
+      index: parent.childCount,
+      typeIndex,
+      childCount: 0,
+      typeCounts: new Map(),
+      element: null,
+      textHandlers: parent.textHandlers,
+      commentHandlers: parent.commentHandlers,
+    };
+    const isVoid = namespace === "html" ? VOID_ELEMENTS.has(name) : Boolean(tag.selfClosing);
+    if (name === "form" && namespace === "html") this.formElement = node;
+
+    if (this.skipUntil) {
+      if (!isVoid) this.stack.push(node);
+      return;
+    }
+
+    for (const { selector, handler } of this.handlers) {
+      if (!matchesStreaming(node, selector)) continue;
+      if (handler.text) node.textHandlers = [...node.textHandlers, handler.text.bind(handler)];
+      if (handler.comments) node.commentHandlers = [...node.commentHandlers, handler.comments.bind(handler)];
+      if (handler.element) {
+        if (!node.element) node.element = new Element(tag, raw, this._attrSpans(), isVoid, rawTextElementName(node));
+        handler.element(node.element);
+      }
+    }
+
+    const element = node.element;
+    if (!element) {
+      this._write(raw);
+      if (!isVoid) this.stack.push(node);
+      return;
+    }
+
+    this._write(element._before.join(""));
+    if (element._removed && !element._keepContent) {
+      this._write(element._replacement ?? "");
+      if (isVoid) {
+        this._write(element._after.join(""));
+        return;
+      }
+      this.stack.push(node);
+      this.skipUntil = node;
+      return;
+    }
+
+    if (!element._removed) this._write(element._startTag());
+    if (isVoid) {
+      this._write(element._after.join(""));
+      return;
+    }
+
+    this._write(element._prepend.join(""));
+    this.stack.push(node);
+    if (element._innerContent != null) {
+      this._write(element._innerContent);
+      this.skipUntil = node;
+    }
+  }
+
+  // Closes the elements that a start tag ends implicitly, following the tree builder's rules.
+  _closeImplied(tag) {
+    const name = tag.name;
+    if (this._current.namespace !== "html" && childNamespace(this._current, name) !== "html") {
+      if (!breaksOutOfForeignContent(tag)) return;
+      while (this.stack.length && childNamespace(this._current, name) !== "html") this._close(this.stack.pop(), null);
+    }
+
+    const tableEnds = TABLE_IMPLIED_ENDS.get(name);
+    if (tableEnds) {
+      const [closes, stops] = tableEnds;
+      let target = -1;
+      for (let index = this.stack.length - 1; index >= 0; index -= 1) {
+        const node = this.stack[index];
+        if (node.namespace === "html" && stops.has(node.name)) break;
+        if (node.namespace === "html" && closes.has(node.name)) target = index;
+      }
+      if (target >= 0) this._closeFrom(target);
+      return;
+    }
+
+    if (name === "li" || name === "dd" || name === "dt") {
+      const siblings = name === "li" ? ["li"] : ["dd", "dt"];
+      for (let index = this.stack.length - 1; index >= 0; index -= 1) {
+        const node = this.stack[index];
+        if (node.namespace === "html" && siblings.includes(node.name)) {
+          this._closeFrom(index);
+          break;
+        }
+        if (isScopeBoundary(node, SPECIAL_ELEMENTS) && !["address", "div", "p"].includes(node.name)) break;
+      }
+    }
+
+    if (CLOSES_P.has(name)) {
+      const index = this._findInScope("p", BUTTON_SCOPE_TERMINATORS);
+      if (index >= 0) this._closeFrom(index);
+      if (HEADING_ELEMENTS.has(name) && HEADING_ELEMENTS.has(this._current.name)) this._close(this.stack.pop(), null);
+    } else if (name === "a") {
+      // The adoption agency closes an <a> still open since the last cell, caption, template, applet or object.
+      for (let index = this.stack.length - 1; index >= 0; index -= 1) {
+        const node = this.stack[index];
+        if (node.namespace !== "html") continue;
+        if (node.name === "a") {
+          this._closeFrom(index);
+          break;
+        }
+        if (FORMATTING_MARKERS.has(node.name)) break;
+      }
+    } else if (name === "nobr" || name === "button") {
+      const index = this._findInScope(name, DEFAULT_SCOPE_TERMINATORS);
+      if (index >= 0) this._closeFrom(index);
+    } else if (name === "option" || name === "optgroup") {
+      if (this._current.name === "option") this._close(this.stack.pop(), null);
+      if (name === "optgroup" && this._current.name === "optgroup") this._close(this.stack.pop(), null);
+    } else if (["rb", "rp", "rt", "rtc"].includes(name) && this._findInScope("ruby", DEFAULT_SCOPE_TERMINATORS) >= 0) {
+      const keep = name === "rp" || name === "rt" ? "rtc" : null;
+      while (IMPLIED_END_TAGS.has(this._current.name) && this._current.name !== keep) {
+        this._close(this.stack.pop(), null);
+      }
+    }
+  }
+
+  _findInScope(name, terminators) {
+    for (let index = this.stack.length - 1; index >= 0; index -= 1) {
+      const node = this.stack[index];
+      if (node.namespace === "html" && node.name === name) return index;
+      if (isScopeBoundary(node, terminators)) return -1;
+    }
+    return -1;
+  }
+
+  // Closes the open element at index and everything opened inside it, none of which have end tags here.
+  _closeFrom(index) {
+    while (this.stack.length > index) this._close(this.stack.pop(), null);
+  }
+
+  _endTag(tag, raw) {
+    if (tag.name === "form") this.formElement = null;
+    let index = this.stack.length - 1;
+    while (index >= 0 && this.stack[index].name !== tag.name) index -= 1;
+    if (index < 0) {
+      this._write(raw);
+      return;
+    }
+
+    while (this.stack.length > index + 1) this._close(this.stack.pop(), null);
+    this._close(this.stack.pop(), raw);
+  }
+
+  // endRaw is null for elements closed without an end tag of their own.
+  _close(node, endRaw) {
+    if (this.skipUntil === node) this.skipUntil = null;
+
+    const element = node.element;
+    if (!element) {
+      if (endRaw) this._write(endRaw);
+      return;
+    }
+
+    if (!element._removed || element._keepContent) this._write(element._append.join(""));
+    if (!element._removed && endRaw) this._write(element._renamed ? `</${element._name}>` : endRaw);
+    this._write(element._after.join(""));
+  }
+
+  _attrSpans() {
+    const spans = {};
+    for (const [name, [start, end]] of Object.entries(this.tokenizer.lastAttrSpans)) {
+      spans[name] = this.source.slice(start, end);
+    }
+    return spans;
+  }
+}
+
+function compileHandlers(handlers) {
+  let entries;
+  if (handlers instanceof Map || Array.isArray(handlers)) entries = [...handlers];
+  else entries = Object.entries(handlers || {});
+
+  return entries.map(([selector, handler]) => {
+    if (handler == null || typeof handler !== "object") {
+      throw new TypeError(`Handler for ${JSON.stringify(selector)} must be an object with element, text or comments`);
+    }
+    return { selector: parseStreamingSelector(selector), handler };
+  });
+}
+
+// Rewrites HTML by running handlers on the elements matching each selector; untouched markup is copied verbatim.
+export function rewrite(html, handlers, { encoding = null } = {}) {
+  let input = html;
+  if (input == null) input = "";
+
+  if (input instanceof ArrayBuffer) input = new Uint8Array(input);
+  if (input instanceof Uint8Array) {
+    input = decodeHTML(input, { transportEncoding: encoding }).text;
+  } else {
+    input = String(input);
+  }
+
+  const sink = new RewriteSink(compileHandlers(handlers), input);
+  const tokenizer = new Tokenizer(sink, new TokenizerOpts(), { trackLocations: true });
+  sink.tokenizer = tokenizer;
+  tokenizer.run(input);
+  sink._flushText();
+  return sink.out.join("");
+}
@@ -0,0 +1,134 @@
+import { FragmentContext } from "./context.js";
+import { parseDocument } from "./parser.js";
+import { serializeHTML } from "./serialize.js";
+
+function contextFor(node) {
+  const parent = node.parent;
+  if (parent && !parent.name.startsWith("#")) {
+    return new FragmentContext(parent.name, parent.namespace === "html" ? null : parent.namespace);
+  }
+  return new FragmentContext("div");
+}
+
+function isDocumentSection(node) {
+  const parent = node.parent;
+  if (!parent || parent.name !== "html" || parent.parent?.name !== "#document") return false;
+  return node.name === "head" || node.name === "body" || node.name === "frameset";
+}
+
+// Children as the serializer writes them: template contents inline, adjacent text merged, empty text dropped.
+function normalizedChildren(node) {
+  const children = node.name === "template" && node.templateContent ? node.templateContent.children : node.children;
+  const out = [];
+  for (const child of children || []) {
+    if (child.name === "#text") {
+      if (!child.data) continue;
+      const last = out[out.length - 1];
+      if (last && last.name === "#text") {
+        out[out.length - 1] = { name: "#text", data: last.data + child.data, parent: last.parent };
+        continue;
+      }
+    }
+    out.push(child);
+  }
+  return out;
+}
+
+function describe(node) {
+  if (node == null) return "nothing";
+  if (node.name === "#text") return `text ${JSON.stringify(node.data)}`;
+  if (node.name === "#comment") return `comment ${JSON.stringify(node.data)}`;
+  if (node.name === "!doctype") return "doctype";
+  return node.namespace && node.namespace !== "html" ? `<${node.namespace} ${node.name}>` : `<${node.name}>`;
+}
+
+function sameAttrs(a, b) {
+  const aKeys = Object.keys(a || {});
+  const bKeys = Object.keys(b || {});
+  if (aKeys.length !== bKeys.length) return false;
+  return aKeys.every((key) => Object.hasOwn(b, key) && String(a[key] ?? "") === String(b[key] ?? ""));
+}
+
+function nodeDifference(expected, actual) {
+  if (expected.name !== actual.name) return "name";
+  if (expected.name === "#text" || expected.name === "#comment") return expected.data === actual.data ? null : "data";
+  if (expected.name === "!doctype") {
+    const [e, a] = [expected.data || {}, actual.data || {}];
+    return e.name === a.name && e.publicId === a.publicId && e.systemId === a.systemId ? null : "data";
+  }
+  if ((expected.namespace ?? "html") !== (actual.namespace ?? "html")) return "namespace";
+  if (!sameAttrs(expected.attrs, actual.attrs)) return "attrs";
+  return null;
+}
+
+// The parser runs with scripting disabled, but browsers read <noscript> content as raw text, so only
+// plain text that needs no escaping means the same thing to both.
+function noscriptDivergence(node, path) {
+  const children = normalizedChildren(node);
+  if (children.every((child) => child.name === "#text" && !/[&<>]/.test(child.data))) return null;
+  const raw = children.map((child) => serializeHTML(child)).join("");
+  return { path: [...path, 0], reason: "scripting", expected: children[0], actual: { name: "#text", data: raw } };
+}
+
+function compareChildren(expectedList, actualList, path, scripting) {
+  const length = Math.max(expectedList.length, actualList.length);
+  for (let i = 0; i < length; i += 1) {
+    const expected = expectedList[i] ?? null;
+    const actual = actualList[i] ?? null;
+    const childPath = [...path, i];
+
+    let reason = null;
+    if (!actual) reason = "missing";
+    else if (!expected) reason = "extra";
+    else reason = nodeDifference(expected, actual);
+    if (reason) return { path: childPath, reason, expected, actual };
+
+    if (scripting && expected.name === "noscript" && (expected.namespace ?? "html") === "html") {
+      const divergence = noscriptDivergence(expected, childPath);
+      if (divergence) return divergence;
+    }
+
+    const nested = compareChildren(normalizedChildren(expected), normalizedChildren(actual), childPath, scripting);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+// Serializes node with serializeHTML, parses the result again and returns the first place the trees differ, or null.
+// Elements are reparsed in the context of their parent element (a <div> by default, or options.fragmentContext);
+// a document's <html>, <head> and <body> are reparsed as a whole document.
+// With scripting (the default) <noscript> content must also survive a scripting-enabled parser.
+export function findRoundTripDivergence(node, { fragmentContext = null, scripting = true } = {}) {
+  const html = serializeHTML(node);
+
+  let expected;
+  let parsed;
+  if (node.name === "#document") {
+    expected = normalizedChildren(node);
+    parsed = parseDocument(html).root;
+  } else if (node.name === "html" && node.parent?.name === "#document") {
+    expected = [node];
+    parsed = parseDocument(html).root;
+  } else if (isDocumentSection(node)) {
+    // <head> and <body> are only created as themselves when a whole document is parsed.
+    expected = [node];
+    const root = parseDocument(html).root.children.find((child) => child.name === "html");
+    parsed = { name: "html", children: root.children.filter((child) => child.name === node.name) };
+  } else {
+    expected = node.name === "#document-fragment" ? normalizedChildren(node) : [node];
+    parsed = parseDocument(html, { fragmentContext: fragmentContext ?? contextFor(node) }).root;
+  }
+
+  const divergence = compareChildren(expected, normalizedChildren(parsed), [], scripting);
+  if (!divergence) return null;
+
+  const where = divergence.path.length ? `at /${divergence.path.join("/")}` : "at the root";
+  const { expected: before, actual: after } = divergence;
+  divergence.message = `expected ${describe(before)} but reparsing gives ${describe(after)} ${where}`;
+  divergence.html = html;
+  return divergence;
+}
+
+export function isRoundTripStable(node, options) {
+  return findRoundTripDivergence(node, options) == null;
+}
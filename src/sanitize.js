@@ -0,0 +1,232 @@
+import { FragmentContext } from "./context.js";
+import { JustHTML } from "./justhtml.js";
+import { Node } from "./node.js";
+import { isRoundTripStable } from "./roundtrip.js";
+import { serializeHTML } from "./serialize.js";
+
+function deepFreeze(value) {
+  if (value && typeof value === "object") {
+    for (const item of Object.values(value)) deepFreeze(item);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+// A conservative policy for user-generated content: text formatting, lists, tables, links and images.
+// Frozen all the way down, so that a caller editing a list in place cannot loosen it for everyone.
+export const DEFAULT_POLICY = deepFreeze({
+  allowedTags: [
+    "a",
+    "abbr",
+    "b",
+    "blockquote",
+    "br",
+    "caption",
+    "cite",
+    "code",
+    "dd",
+    "del",
+    "div",
+    "dl",
+    "dt",
+    "em",
+    "figcaption",
+    "figure",
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "hr",
+    "i",
+    "img",
+    "ins",
+    "kbd",
+    "li",
+    "mark",
+    "ol",
+    "p",
+    "pre",
+    "q",
+    "s",
+    "small",
+    "span",
+    "strong",
+    "sub",
+    "sup",
+    "table",
+    "tbody",
+    "td",
+    "tfoot",
+    "th",
+    "thead",
+    "tr",
+    "u",
+    "ul",
+  ],
+  // Attributes allowed per tag; "*" applies to every allowed tag.
+  allowedAttributes: {
+    "*": ["title", "lang", "dir"],
+    a: ["href"],
+    img: ["src", "alt", "width", "height"],
+    blockquote: ["cite"],
+    q: ["cite"],
+    del: ["cite", "datetime"],
+    ins: ["cite", "datetime"],
+    ol: ["start", "reversed"],
+    td: ["colspan", "rowspan"],
+    th: ["colspan", "rowspan", "scope"],
+  },
+  // URL attributes and the schemes they may use; relative URLs are always allowed.
+  allowedProtocols: {
+    href: ["http", "https", "mailto"],
+    src: ["http", "https"],
+    cite: ["http", "https"],
+  },
+  // "unwrap" keeps the content of a disallowed element, "drop" removes it along with the element.
+  disallowedElements: "unwrap",
+  // Disallowed elements that are always dropped with their content.
+  dropContentTags: [
+    "script",
+    "style",
+    "template",
+    "iframe",
+    "object",
+    "embed",
+    "noscript",
+    "noembed",
+    "noframes",
+    "svg",
+    "math",
+    "textarea",
+    "select",
+    "title",
+    "xmp",
+  ],
+  allowComments: false,
+});
+
+function compilePolicy(policy) {
+  const merged = { ...DEFAULT_POLICY, ...(policy || {}) };
+  if (merged.disallowedElements !== "unwrap" && merged.disallowedElements !== "drop") {
+    const mode = JSON.stringify(merged.disallowedElements);
+    throw new TypeError(`disallowedElements must be "unwrap" or "drop", got ${mode}`);
+  }
+
+  const lower = (names) => new Set(Array.from(names || [], (name) => String(name).toLowerCase()));
+  const attributes = new Map();
+  for (const [tag, names] of Object.entries(merged.allowedAttributes || {})) {
+    attributes.set(tag.toLowerCase(), lower(names));
+  }
+  const protocols = new Map();
+  for (const [attr, schemes] of Object.entries(merged.allowedProtocols || {})) {
+    protocols.set(attr.toLowerCase(), lower(schemes));
+  }
+
+  return {
+    tags: lower(merged.allowedTags),
+    attributes,
+    globalAttributes: attributes.get("*") || new Set(),
+    protocols,
+    drop: merged.disallowedElements === "drop",
+    dropContent: lower(merged.dropContentTags),
+    allowComments: Boolean(merged.allowComments),
+  };
+}
+
+// The scheme a browser would resolve the URL with, or null for a relative URL.
+function urlScheme(value) {
+  const url = String(value)
+    .replaceAll(/[\t\n\r]/g, "")
+    // eslint-disable-next-line no-control-regex
+    .replace(/^[\u0000- ]+/, "");
+  const match = /^([a-zA-Z][a-zA-Z0-9+.-]*):/.exec(url);
+  return match ? match[1].toLowerCase() : null;
+}
+
+function sanitizeAttributes(node, rules) {
+  const allowed = rules.attributes.get(node.name);
+  const out = {};
+  for (const [name, value] of Object.entries(node.attrs || {})) {
+    if (!rules.globalAttributes.has(name) && !allowed?.has(name)) continue;
+    const schemes = rules.protocols.get(name);
+    if (schemes) {
+      const scheme = urlScheme(value ?? "");
+      if (scheme != null && !schemes.has(scheme)) continue;
+    }
+    out[name] = value;
+  }
+  node.attrs = out;
+}
+
+function parseFragment(html) {
+  return new JustHTML(html, { fragmentContext: new FragmentContext("div") }).root;
+}
+
+function contentOf(node) {
+  return node.templateContent ?? node;
+}
+
+function sanitizeChildren(parent, rules) {
+  for (const child of [...parent.children]) {
+    if (child.name === "#text") continue;
+
+    if (child.name === "#comment") {
+      if (!rules.allowComments) parent.removeChild(child);
+      continue;
+    }
+
+    if (child.name.startsWith("#") || child.name === "!doctype") {
+      parent.removeChild(child);
+      continue;
+    }
+
+    if (child.namespace === "html" && rules.tags.has(child.name)) {
+      sanitizeAttributes(child, rules);
+      sanitizeChildren(contentOf(child), rules);
+      continue;
+    }
+
+    if (rules.drop || rules.dropContent.has(child.name)) {
+      parent.removeChild(child);
+      continue;
+    }
+
+    const content = contentOf(child);
+    sanitizeChildren(content, rules);
+    for (const grandchild of [...content.children]) {
+      content.removeChild(grandchild);
+      parent.insertBefore(grandchild, child);
+    }
+    parent.removeChild(child);
+  }
+}
+
+// Serializing a sanitized tree can change its meaning (unwrapping can leave a <p> inside a <p>, say), so output
+// that does not parse back into the same tree is parsed and sanitized again.
+const MAX_PASSES = 4;
+
+// Parses untrusted HTML as a <div> fragment (or copies a parsed node) and serializes what the policy allows.
+export function sanitize(htmlOrNode, policy = DEFAULT_POLICY) {
+  const rules = compilePolicy(policy);
+
+  const input = htmlOrNode instanceof JustHTML ? htmlOrNode.root : htmlOrNode;
+  let root;
+  if (input instanceof Node) {
+    // A document is copied into a fragment too; its html, head and body are unwrapped like any other element.
+    root = new Node("#document-fragment", { namespace: null });
+    const nodes = input.name === "#document" || input.name === "#document-fragment" ? input.children : [input];
+    for (const node of nodes) root.appendChild(node.cloneNode(true));
+  } else {
+    root = parseFragment(htmlOrNode);
+  }
+
+  for (let pass = 1; ; pass += 1) {
+    sanitizeChildren(root, rules);
+    const html = serializeHTML(root);
+    if (isRoundTripStable(root)) return html;
+    if (pass === MAX_PASSES) throw new Error("sanitize() output does not parse back into the sanitized tree");
+    root = parseFragment(html);
+  }
+}
@@ -1,7 +1,21 @@
+import { FOREIGN_ATTRIBUTE_ADJUSTMENTS } from "./constants.js";
+
 export class SelectorError extends Error {
-  constructor(message) {
+  // position is a 0-based offset into selector; expected describes what would have been valid there.
+  constructor(message, { selector = null, position = null, expected = null } = {}) {
     super(message);
     this.name = "SelectorError";
+    this.selector = selector;
+    this.position = position;
+    this.expected = expected;
+  }
+
+  // The message followed by the selector with a caret under the failing position.
+  toString() {
+    const head = `${this.name}: ${this.message}`;
+    if (this.selector == null || this.position == null) return head;
+    const line = this.selector.replace(/[\t\n\r\f]/g, " ");
+    return `${head}\n  ${line}\n  ${" ".repeat(this.position)}^`;
   }
 }
 
@@ -13,6 +27,8 @@ const TokenType = {
   ATTR_START: "ATTR_START",
   ATTR_END: "ATTR_END",
   ATTR_OP: "ATTR_OP",
+  ATTR_FLAG: "ATTR_FLAG",
+  NAMESPACE: "NAMESPACE",
   STRING: "STRING",
   COMBINATOR: "COMBINATOR",
   COMMA: "COMMA",
@@ -22,10 +38,31 @@ const TokenType = {
   EOF: "EOF",
 };
 
+const TOKEN_DESCRIPTIONS = {
+  TAG: "name",
+  ID: "id",
+  CLASS: "class",
+  UNIVERSAL: "*",
+  ATTR_START: "[",
+  ATTR_END: "]",
+  ATTR_OP: "attribute operator",
+  ATTR_FLAG: "attribute flag",
+  NAMESPACE: "namespace prefix",
+  STRING: "value",
+  COMBINATOR: "combinator",
+  COMMA: ",",
+  COLON: ":",
+  PAREN_OPEN: "(",
+  PAREN_CLOSE: ")",
+  EOF: "end of selector",
+};
+
 class Token {
-  constructor(type, value = null) {
+  constructor(type, value = null, pos = null) {
     this.type = type;
     this.value = value;
+    // Offset of the token in the selector string.
+    this.pos = pos;
   }
 
   toString() {
@@ -33,6 +70,12 @@ class Token {
   }
 }
 
+function describeToken(token) {
+  const description = TOKEN_DESCRIPTIONS[token.type];
+  if (token.value == null || (token.type === TokenType.COMBINATOR && token.value === " ")) return description;
+  return `${description} ${JSON.stringify(token.value)}`;
+}
+
 class SelectorTokenizer {
   constructor(selector) {
     this.selector = selector;
@@ -69,7 +112,12 @@ class SelectorTokenizer {
     return this.selector.slice(start, this.pos);
   }
 
+  _error(message, expected, position = this.pos) {
+    return new SelectorError(message, { selector: this.selector, position, expected });
+  }
+
   _readString(quote) {
+    const quotePos = this.pos;
     this.pos += 1;
     let start = this.pos;
     const parts = [];
@@ -96,7 +144,25 @@ class SelectorTokenizer {
       }
     }
 
-    throw new SelectorError(`Unterminated string in selector: ${JSON.stringify(this.selector)}`);
+    throw this._error("Unterminated string", quote, quotePos);
+  }
+
+  _skipRegExpLiteral() {
+    const slashPos = this.pos;
+    this.pos += 1;
+    let inClass = false;
+    while (this.pos < this.length) {
+      const ch = this.selector[this.pos];
+      this.pos += 1;
+      if (ch === "\\") this.pos += 1;
+      else if (ch === "[") inClass = true;
+      else if (ch === "]") inClass = false;
+      else if (ch === "/" && !inClass) {
+        while (this.pos < this.length && this._isNameChar(this.selector[this.pos])) this.pos += 1;
+        return;
+      }
+    }
+    throw this._error("Unterminated regular expression", "/", slashPos);
   }
 
   _readUnquotedAttrValue() {
@@ -115,6 +181,7 @@ class SelectorTokenizer {
 
     while (this.pos < this.length) {
       const ch = this.selector[this.pos];
+      const start = this.pos;
 
       if (" \t\n\r\f".includes(ch)) {
         pendingWhitespace = true;
@@ -126,117 +193,160 @@ class SelectorTokenizer {
         pendingWhitespace = false;
         this.pos += 1;
         this._skipWhitespace();
-        tokens.push(new Token(TokenType.COMBINATOR, ch));
+        tokens.push(new Token(TokenType.COMBINATOR, ch, start));
         continue;
       }
 
       if (pendingWhitespace && tokens.length && ch !== ",") {
-        tokens.push(new Token(TokenType.COMBINATOR, " "));
+        tokens.push(new Token(TokenType.COMBINATOR, " ", start - 1));
       }
       pendingWhitespace = false;
 
       if (ch === "*") {
         this.pos += 1;
-        tokens.push(new Token(TokenType.UNIVERSAL));
+        tokens.push(new Token(TokenType.UNIVERSAL, null, start));
         continue;
       }
 
       if (ch === "#") {
         this.pos += 1;
         const name = this._readName();
-        if (!name) throw new SelectorError(`Expected identifier after # at position ${this.pos}`);
-        tokens.push(new Token(TokenType.ID, name));
+        if (!name) throw this._error("Expected identifier after #", "identifier");
+        tokens.push(new Token(TokenType.ID, name, start));
         continue;
       }
 
       if (ch === ".") {
         this.pos += 1;
         const name = this._readName();
-        if (!name) throw new SelectorError(`Expected identifier after . at position ${this.pos}`);
-        tokens.push(new Token(TokenType.CLASS, name));
+        if (!name) throw this._error("Expected identifier after .", "identifier");
+        tokens.push(new Token(TokenType.CLASS, name, start));
         continue;
       }
 
       if (ch === "[") {
         this.pos += 1;
-        tokens.push(new Token(TokenType.ATTR_START));
+        tokens.push(new Token(TokenType.ATTR_START, null, start));
         this._skipWhitespace();
 
-        const attrName = this._readName();
-        if (!attrName) throw new SelectorError(`Expected attribute name at position ${this.pos}`);
-        tokens.push(new Token(TokenType.TAG, attrName));
+        // An optional namespace prefix: [ns|attr], [*|attr] or [|attr].
+        const nameStart = this.pos;
+        let prefix = null;
+        if (this._peek() === "*" && this._peek(1) === "|") {
+          prefix = "*";
+          this.pos += 2;
+        } else if (this._peek() === "|") {
+          prefix = "";
+          this.pos += 1;
+        }
+
+        let attrStart = this.pos;
+        let attrName = this._readName();
+        if (prefix == null && attrName && this._peek() === "|" && this._peek(1) !== "=") {
+          prefix = attrName;
+          this.pos += 1;
+          attrStart = this.pos;
+          attrName = this._readName();
+        }
+        if (!attrName) throw this._error("Expected attribute name", "attribute name");
+        if (prefix != null) tokens.push(new Token(TokenType.NAMESPACE, prefix, nameStart));
+        tokens.push(new Token(TokenType.TAG, attrName, attrStart));
         this._skipWhitespace();
 
         const ch2 = this._peek();
+        const opStart = this.pos;
         if (ch2 === "]") {
           this.pos += 1;
-          tokens.push(new Token(TokenType.ATTR_END));
+          tokens.push(new Token(TokenType.ATTR_END, null, opStart));
           continue;
         }
 
         if (ch2 === "=") {
           this.pos += 1;
-          tokens.push(new Token(TokenType.ATTR_OP, "="));
-        } else if ("~|^$*".includes(ch2)) {
+          tokens.push(new Token(TokenType.ATTR_OP, "=", opStart));
+        } else if (ch2 && "~|^$*".includes(ch2)) {
           const opChar = ch2;
           this.pos += 1;
-          if (this._peek() !== "=") throw new SelectorError(`Expected = after ${opChar} at position ${this.pos}`);
+          if (this._peek() !== "=") throw this._error(`Expected = after ${opChar}`, "=");
           this.pos += 1;
-          tokens.push(new Token(TokenType.ATTR_OP, `${opChar}=`));
+          tokens.push(new Token(TokenType.ATTR_OP, `${opChar}=`, opStart));
+        } else if (!ch2) {
+          throw this._error("Unterminated attribute selector", "]");
         } else {
-          throw new SelectorError(`Unexpected character in attribute selector: ${JSON.stringify(ch2)}`);
+          throw this._error(`Unexpected character in attribute selector: ${JSON.stringify(ch2)}`, "] or an operator");
         }
 
         this._skipWhitespace();
 
         const ch3 = this._peek();
+        const valueStart = this.pos;
         let value;
         if (ch3 === '"' || ch3 === "'") value = this._readString(ch3);
         else value = this._readUnquotedAttrValue();
-        tokens.push(new Token(TokenType.STRING, value));
+        tokens.push(new Token(TokenType.STRING, value, valueStart));
 
         this._skipWhitespace();
-        if (this._peek() !== "]") throw new SelectorError(`Expected ] at position ${this.pos}`);
+        const flag = this._peek().toLowerCase();
+        if ((flag === "i" || flag === "s") && !this._isNameChar(this._peek(1))) {
+          tokens.push(new Token(TokenType.ATTR_FLAG, flag, this.pos));
+          this.pos += 1;
+          this._skipWhitespace();
+        }
+        if (this._peek() !== "]") throw this._error("Expected ] to close the attribute selector", "]");
+        tokens.push(new Token(TokenType.ATTR_END, null, this.pos));
         this.pos += 1;
-        tokens.push(new Token(TokenType.ATTR_END));
         continue;
       }
 
       if (ch === ",") {
         this.pos += 1;
         this._skipWhitespace();
-        tokens.push(new Token(TokenType.COMMA));
+        tokens.push(new Token(TokenType.COMMA, null, start));
         continue;
       }
 
       if (ch === ":") {
         this.pos += 1;
-        tokens.push(new Token(TokenType.COLON));
+        tokens.push(new Token(TokenType.COLON, null, start));
 
         const name = this._readName();
-        if (!name) throw new SelectorError(`Expected pseudo-class name after : at position ${this.pos}`);
-        tokens.push(new Token(TokenType.TAG, name));
+        if (!name) throw this._error("Expected pseudo-class name after :", "pseudo-class name");
+        tokens.push(new Token(TokenType.TAG, name, start + 1));
 
         if (this._peek() === "(") {
+          tokens.push(new Token(TokenType.PAREN_OPEN, null, this.pos));
           this.pos += 1;
-          tokens.push(new Token(TokenType.PAREN_OPEN));
           this._skipWhitespace();
 
           let parenDepth = 1;
           const argStart = this.pos;
+          // A /pattern/flags literal may hold quotes and parentheses of its own.
+          if (name.toLowerCase() === "text-matches" && this._peek() === "/") {
+            this._skipRegExpLiteral();
+            this._skipWhitespace();
+            parenDepth = 0;
+          }
           while (this.pos < this.length && parenDepth > 0) {
             const c = this.selector[this.pos];
+            if (c === "\\") {
+              this.pos += 2;
+              continue;
+            }
+            if (c === '"' || c === "'") {
+              this._readString(c);
+              continue;
+            }
             if (c === "(") parenDepth += 1;
             else if (c === ")") parenDepth -= 1;
             if (parenDepth > 0) this.pos += 1;
           }
 
           const arg = this.selector.slice(argStart, this.pos).trim();
-          if (arg) tokens.push(new Token(TokenType.STRING, arg));
+          if (arg) tokens.push(new Token(TokenType.STRING, arg, argStart));
 
-          if (this._peek() !== ")") throw new SelectorError(`Expected ) at position ${this.pos}`);
+          if (this._peek() !== ")") throw this._error(`Expected ) to close :${name}(`, ")");
+          tokens.push(new Token(TokenType.PAREN_CLOSE, null, this.pos));
           this.pos += 1;
-          tokens.push(new Token(TokenType.PAREN_CLOSE));
         }
 
         continue;
@@ -244,14 +354,14 @@ class SelectorTokenizer {
 
       if (this._isNameStart(ch)) {
         const name = this._readName().toLowerCase();
-        tokens.push(new Token(TokenType.TAG, name));
+        tokens.push(new Token(TokenType.TAG, name, start));
         continue;
       }
 
-      throw new SelectorError(`Unexpected character ${JSON.stringify(ch)} at position ${this.pos}`);
+      throw this._error(`Unexpected character ${JSON.stringify(ch)}`, null);
     }
 
-    tokens.push(new Token(TokenType.EOF));
+    tokens.push(new Token(TokenType.EOF, null, this.length));
     return tokens;
   }
 }
@@ -264,12 +374,20 @@ class SimpleSelector {
   static TYPE_ATTR = "attr";
   static TYPE_PSEUDO = "pseudo";
 
-  constructor(selectorType, { name = null, operator = null, value = null, arg = null } = {}) {
+  constructor(
+    selectorType,
+    { name = null, operator = null, value = null, arg = null, selector = null, namespace = null, flag = null } = {}
+  ) {
     this.type = selectorType;
     this.name = name;
     this.operator = operator;
     this.value = value;
     this.arg = arg;
+    // Attribute selectors: the namespace URI, "*" for any namespace or null for none, and the i/s flag.
+    this.namespace = namespace;
+    this.flag = flag;
+    // The compiled selector argument of :not(), :is(), :where(), :has() and :nth-child(An+B of S).
+    this.selector = selector;
   }
 }
 
@@ -292,14 +410,19 @@ class SelectorList {
 }
 
 class SelectorParser {
-  constructor(tokens) {
+  constructor(tokens, source = "") {
     this.tokens = tokens;
+    this.source = source;
     this.pos = 0;
   }
 
   _peek() {
     if (this.pos < this.tokens.length) return this.tokens[this.pos];
-    return new Token(TokenType.EOF);
+    return new Token(TokenType.EOF, null, this.source.length);
+  }
+
+  _error(message, token, expected) {
+    return new SelectorError(message, { selector: this.source, position: token.pos, expected });
   }
 
   _advance() {
@@ -310,26 +433,38 @@ class SelectorParser {
 
   _expect(tokenType) {
     const token = this._peek();
-    if (token.type !== tokenType) throw new SelectorError(`Expected ${tokenType}, got ${token.type}`);
+    if (token.type !== tokenType) {
+      const expected = TOKEN_DESCRIPTIONS[tokenType];
+      throw this._error(`Expected ${expected}, got ${describeToken(token)}`, token, expected);
+    }
     return this._advance();
   }
 
   parse() {
     const selectors = [];
-    selectors.push(this._parseComplexSelector());
+    selectors.push(this._parseRequiredComplexSelector());
 
     while (this._peek().type === TokenType.COMMA) {
       this._advance();
-      const selector = this._parseComplexSelector();
-      if (selector) selectors.push(selector);
+      selectors.push(this._parseRequiredComplexSelector());
     }
 
-    if (this._peek().type !== TokenType.EOF) throw new SelectorError(`Unexpected token: ${this._peek()}`);
+    const token = this._peek();
+    if (token.type !== TokenType.EOF) {
+      throw this._error(`Unexpected ${describeToken(token)}`, token, ", or end of selector");
+    }
 
     if (selectors.length === 1) return selectors[0];
     return new SelectorList(selectors);
   }
 
+  _parseRequiredComplexSelector() {
+    const token = this._peek();
+    const selector = this._parseComplexSelector();
+    if (!selector) throw this._error(`Expected selector, got ${describeToken(token)}`, token, "selector");
+    return selector;
+  }
+
   _parseComplexSelector() {
     const complexSel = new ComplexSelector();
 
@@ -339,8 +474,11 @@ class SelectorParser {
 
     while (this._peek().type === TokenType.COMBINATOR) {
       const combinator = this._advance().value;
+      const next = this._peek();
       const nextCompound = this._parseCompoundSelector();
-      if (!nextCompound) throw new SelectorError("Expected selector after combinator");
+      if (!nextCompound) {
+        throw this._error(`Expected selector after combinator, got ${describeToken(next)}`, next, "selector");
+      }
       complexSel.parts.push([combinator, nextCompound]);
     }
 
@@ -381,42 +519,588 @@ class SelectorParser {
 
   _parseAttributeSelector() {
     this._expect(TokenType.ATTR_START);
+    let namespace = null;
+    if (this._peek().type === TokenType.NAMESPACE) {
+      const token = this._advance();
+      namespace = resolveNamespacePrefix(token.value);
+      if (namespace === undefined) {
+        throw this._error(`Unknown namespace prefix: ${token.value}`, token, "registered namespace prefix");
+      }
+    }
     const attrName = this._expect(TokenType.TAG).value;
 
     const token = this._peek();
     if (token.type === TokenType.ATTR_END) {
       this._advance();
-      return new SimpleSelector(SimpleSelector.TYPE_ATTR, { name: attrName });
+      return new SimpleSelector(SimpleSelector.TYPE_ATTR, { name: attrName, namespace });
     }
 
     const operator = this._expect(TokenType.ATTR_OP).value;
     const value = this._expect(TokenType.STRING).value;
+    let flag = null;
+    if (this._peek().type === TokenType.ATTR_FLAG) flag = this._advance().value;
     this._expect(TokenType.ATTR_END);
 
-    return new SimpleSelector(SimpleSelector.TYPE_ATTR, { name: attrName, operator, value });
+    return new SimpleSelector(SimpleSelector.TYPE_ATTR, { name: attrName, operator, value, namespace, flag });
   }
 
   _parsePseudoSelector() {
     this._expect(TokenType.COLON);
-    const name = this._expect(TokenType.TAG).value;
+    const nameToken = this._expect(TokenType.TAG);
+    const name = nameToken.value;
+    if (!SUPPORTED_PSEUDOS.has(name.toLowerCase())) {
+      throw this._error(`Unsupported pseudo-class: :${name}`, nameToken, "supported pseudo-class");
+    }
 
     if (this._peek().type === TokenType.PAREN_OPEN) {
       this._advance();
       let arg = null;
+      const argPos = this._peek().pos;
       if (this._peek().type === TokenType.STRING) arg = this._advance().value;
       this._expect(TokenType.PAREN_CLOSE);
-      return new SimpleSelector(SimpleSelector.TYPE_PSEUDO, { name, arg });
+      return pseudoWithArgument(name, arg, this.source, argPos);
+    }
+
+    return pseudoWithArgument(name, null, this.source, nameToken.pos + name.length);
+  }
+}
+
+const namespacePrefixes = new Map([
+  ["xlink", "http://www.w3.org/1999/xlink"],
+  ["xml", "http://www.w3.org/XML/1998/namespace"],
+  ["xmlns", "http://www.w3.org/2000/xmlns/"],
+]);
+
+// Makes `prefix|name` usable in attribute selectors compiled from now on.
+export function registerNamespacePrefix(prefix, uri) {
+  if (typeof prefix !== "string" || !/^[A-Za-z_][\w-]*$/.test(prefix)) {
+    throw new TypeError(`Invalid namespace prefix: ${JSON.stringify(prefix)}`);
+  }
+  if (typeof uri !== "string" || !uri) throw new TypeError(`Invalid namespace URI: ${JSON.stringify(uri)}`);
+  namespacePrefixes.set(prefix, uri);
+  selectorCache.clear();
+}
+
+function resolveNamespacePrefix(prefix) {
+  if (prefix === "*") return "*";
+  if (prefix === "") return null;
+  return namespacePrefixes.get(prefix);
+}
+
+// Attributes whose values HTML compares ASCII case-insensitively on HTML elements, unless the s flag is given.
+const CASE_INSENSITIVE_ATTRIBUTE_VALUES = new Set([
+  "accept",
+  "accept-charset",
+  "align",
+  "alink",
+  "axis",
+  "bgcolor",
+  "charset",
+  "checked",
+  "clear",
+  "codetype",
+  "color",
+  "compact",
+  "declare",
+  "defer",
+  "dir",
+  "direction",
+  "disabled",
+  "enctype",
+  "face",
+  "frame",
+  "hreflang",
+  "http-equiv",
+  "lang",
+  "language",
+  "link",
+  "media",
+  "method",
+  "multiple",
+  "nohref",
+  "noresize",
+  "noshade",
+  "nowrap",
+  "readonly",
+  "rel",
+  "rev",
+  "rules",
+  "scope",
+  "scrolling",
+  "selected",
+  "shape",
+  "target",
+  "text",
+  "type",
+  "valign",
+  "valuetype",
+  "vlink",
+]);
+
+function asciiLower(value) {
+  return value.replace(/[A-Z]/g, (ch) => ch.toLowerCase());
+}
+
+// Splits a selector list on commas outside parentheses, brackets and strings.
+function splitSelectorList(text) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === "\\") i += 1;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === "(" || ch === "[") {
+      depth += 1;
+    } else if (ch === ")" || ch === "]") {
+      depth -= 1;
+    } else if (ch === "," && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
     }
+  }
+
+  parts.push(text.slice(start));
+  return parts;
+}
+
+const SCOPE_SELECTOR = new SimpleSelector(SimpleSelector.TYPE_PSEUDO, { name: "scope" });
+const SCOPE_COMPOUND = new CompoundSelector([SCOPE_SELECTOR]);
+
+// Parses a selector found at offset within source, reporting errors against source.
+function parseSelectorAt(text, source, offset) {
+  try {
+    return parseSelector(text);
+  } catch (err) {
+    if (!(err instanceof SelectorError) || source == null) throw err;
+    const position = offset + (err.position ?? 0);
+    throw new SelectorError(err.message, { selector: source, position, expected: err.expected });
+  }
+}
+
+// Parses the argument of :has(): relative selectors such as "> h2" or "+ p", anchored to :scope.
+function parseRelativeSelectors(arg, source, offset) {
+  if (!arg) throw argumentError("Expected relative selector in :has()", source, offset, "relative selector");
+
+  let partStart = offset;
+  return splitSelectorList(arg).map((part) => {
+    let text = part.trimStart();
+    let textStart = partStart + part.length - text.length;
+    partStart += part.length + 1;
+    let combinator = " ";
+    if (text && ">+~".includes(text[0])) {
+      combinator = text[0];
+      const rest = text.slice(1).trimStart();
+      textStart += text.length - rest.length;
+      text = rest;
+    }
+    text = text.trimEnd();
+
+    if (!text) throw argumentError("Expected relative selector in :has()", source, textStart, "relative selector");
+    const inner = parseSelectorAt(text, source, textStart);
+    const relative = new ComplexSelector();
+    relative.parts.push([null, SCOPE_COMPOUND], [combinator, inner.parts[0][1]], ...inner.parts.slice(1));
+    return relative;
+  });
+}
+
+function unquote(text) {
+  const quoted = /^(["'])(.*)\1$/s.exec(text);
+  return quoted ? quoted[2].replace(/\\(.)/gs, "$1") : text;
+}
+
+// Parses /pattern/flags for :text-matches(). g and y are dropped so test() has no state between nodes.
+function parseRegExp(text, source, offset) {
+  const literal = /^\/(.*)\/([a-z]*)$/s.exec(text ?? "");
+  if (!literal) {
+    const message = `Expected /pattern/flags in :text-matches(), got ${JSON.stringify(text)}`;
+    throw argumentError(message, source, offset, "/pattern/flags");
+  }
+  try {
+    return new RegExp(literal[1], literal[2].replace(/[gy]/g, ""));
+  } catch (err) {
+    const message = `Invalid regular expression in :text-matches(): ${err.message}`;
+    throw argumentError(message, source, offset, "regular expression");
+  }
+}
 
-    return new SimpleSelector(SimpleSelector.TYPE_PSEUDO, { name });
+function argumentError(message, source, position, expected) {
+  return new SelectorError(message, { selector: source ?? null, position: source == null ? null : position, expected });
+}
+
+// Builds a pseudo-class, parsing selector arguments now rather than on every match.
+// source and offset locate the argument in the whole selector for error reporting.
+function pseudoWithArgument(name, arg, source = null, offset = 0) {
+  const key = name.toLowerCase();
+  let selector = null;
+
+  if (key === "not" || key === "is" || key === "where") {
+    if (!arg) throw argumentError(`Expected selector list in :${key}()`, source, offset, "selector list");
+    selector = parseSelectorAt(arg, source, offset);
+  } else if (key === "has") {
+    selector = new SelectorList(parseRelativeSelectors(arg, source, offset));
+  } else if ((key === "lang" || key === "dir") && !arg) {
+    const expected = key === "lang" ? "language range" : "ltr or rtl";
+    throw argumentError(`Expected argument in :${key}()`, source, offset, expected);
+  } else if (key === "contains" || key === "contains-own") {
+    if (arg == null) throw argumentError(`Expected text in :${key}()`, source, offset, "text");
+    return new SimpleSelector(SimpleSelector.TYPE_PSEUDO, { name, arg, value: unquote(arg) });
+  } else if (key === "text-matches") {
+    return new SimpleSelector(SimpleSelector.TYPE_PSEUDO, { name, arg, value: parseRegExp(arg, source, offset) });
+  } else if (key === "nth-child" || key === "nth-of-type") {
+    const match = key === "nth-child" && arg ? /^(.*?)\s+of(?:\s+(.*))?$/is.exec(arg) : null;
+    if (match) {
+      if (!match[2]) {
+        throw argumentError("Expected selector list after of", source, offset + arg.length, "selector list");
+      }
+      selector = parseSelectorAt(match[2], source, offset + match[0].length - match[2].length);
+      arg = match[1];
+    }
+    if (parseNth(arg) == null) throw argumentError(`Expected An+B in :${key}()`, source, offset, "An+B");
   }
+
+  return new SimpleSelector(SimpleSelector.TYPE_PSEUDO, { name, arg, selector });
+}
+
+const NTH_PATTERN = /^(?:([+-]?)(\d*)n(?:\s*([+-])\s*(\d+))?|([+-]?\d+))$/;
+
+// Parses an An+B expression ("odd", "-n+3", "2n + 1", "4") into [a, b], or returns null for anything else.
+function parseNth(expr) {
+  if (expr == null) return null;
+  const s = String(expr).trim().toLowerCase();
+  if (s === "odd") return [2, 1];
+  if (s === "even") return [2, 0];
+
+  const match = NTH_PATTERN.exec(s);
+  if (!match) return null;
+  if (match[5] != null) return [0, Number.parseInt(match[5], 10)];
+  const a = match[2] === "" ? 1 : Number.parseInt(match[2], 10);
+  const b = match[4] == null ? 0 : Number.parseInt(match[4], 10);
+  return [match[1] === "-" ? -a : a, match[3] === "-" ? -b : b];
 }
 
 function isElementNode(node) {
   return node != null && typeof node.name === "string" && !node.name.startsWith("#") && node.name !== "!doctype";
 }
 
+// Text for the :contains() family, using Node.toText() so template contents count the same way everywhere.
+function elementText(node) {
+  return typeof node.toText === "function" ? node.toText() : "";
+}
+
+function ownText(node) {
+  const children = [...node.children, ...(node.templateContent?.children ?? [])];
+  return children
+    .filter((child) => child.name === "#text")
+    .map((child) => child.toText())
+    .filter(Boolean)
+    .join(" ");
+}
+
+// Element state for the form, link and language pseudo-classes, read from markup alone.
+
+function htmlName(node) {
+  return (node.namespace ?? "html") === "html" ? node.name : null;
+}
+
+function attrValue(node, name) {
+  const attrs = node.attrs || {};
+  return Object.hasOwn(attrs, name) ? String(attrs[name] ?? "") : null;
+}
+
+const INPUT_TYPES = new Set([
+  "hidden",
+  "text",
+  "search",
+  "tel",
+  "url",
+  "email",
+  "password",
+  "date",
+  "month",
+  "week",
+  "time",
+  "datetime-local",
+  "number",
+  "range",
+  "color",
+  "checkbox",
+  "radio",
+  "file",
+  "submit",
+  "image",
+  "reset",
+  "button",
+]);
+
+// Input types that the readonly and placeholder attributes apply to; required also covers checkbox, radio and file.
+const TEXT_INPUT_TYPES = new Set([
+  "text",
+  "search",
+  "url",
+  "tel",
+  "email",
+  "password",
+  "date",
+  "month",
+  "week",
+  "time",
+  "datetime-local",
+  "number",
+]);
+const PLACEHOLDER_INPUT_TYPES = new Set(["text", "search", "url", "tel", "email", "password", "number"]);
+
+const DISABLEABLE_ELEMENTS = new Set(["button", "input", "select", "textarea", "optgroup", "option", "fieldset"]);
+
+function inputType(node) {
+  const type = asciiLower(attrValue(node, "type") ?? "");
+  return INPUT_TYPES.has(type) ? type : "text";
+}
+
+function isDisabled(node) {
+  const name = htmlName(node);
+  if (!DISABLEABLE_ELEMENTS.has(name)) return false;
+  if (attrValue(node, "disabled") != null) return true;
+  if (name === "optgroup") return false;
+  if (name === "option") {
+    const parent = node.parent;
+    return parent != null && htmlName(parent) === "optgroup" && attrValue(parent, "disabled") != null;
+  }
+
+  // A disabled fieldset disables everything inside it except the contents of its first legend.
+  let child = node;
+  for (let ancestor = node.parent; isElementNode(ancestor); child = ancestor, ancestor = ancestor.parent) {
+    if (htmlName(ancestor) !== "fieldset" || attrValue(ancestor, "disabled") == null) continue;
+    const legend = ancestor.children.find((c) => isElementNode(c) && htmlName(c) === "legend");
+    if (child !== legend) return true;
+  }
+  return false;
+}
+
+function isChecked(node) {
+  const name = htmlName(node);
+  if (name === "input") {
+    const type = inputType(node);
+    return (type === "checkbox" || type === "radio") && attrValue(node, "checked") != null;
+  }
+  return name === "option" && attrValue(node, "selected") != null;
+}
+
+function isRequired(node) {
+  const name = htmlName(node);
+  if (attrValue(node, "required") == null) return false;
+  if (name === "select" || name === "textarea") return true;
+  if (name !== "input") return false;
+  const type = inputType(node);
+  return TEXT_INPUT_TYPES.has(type) || type === "checkbox" || type === "radio" || type === "file";
+}
+
+function isEditable(node) {
+  for (let current = node; isElementNode(current); current = current.parent) {
+    const value = htmlName(current) ? attrValue(current, "contenteditable") : null;
+    if (value == null) continue;
+    const state = asciiLower(value);
+    if (state === "" || state === "true" || state === "plaintext-only") return true;
+    if (state === "false") return false;
+  }
+  return false;
+}
+
+function isReadWrite(node) {
+  const name = htmlName(node);
+  if (name === "input" || name === "textarea") {
+    if (name === "input" && !TEXT_INPUT_TYPES.has(inputType(node))) return false;
+    return attrValue(node, "readonly") == null && !isDisabled(node);
+  }
+  return isEditable(node);
+}
+
+function isPlaceholderShown(node) {
+  const name = htmlName(node);
+  if (attrValue(node, "placeholder") == null) return false;
+  if (name === "input") return PLACEHOLDER_INPUT_TYPES.has(inputType(node)) && !attrValue(node, "value");
+  if (name === "textarea") return node.children.every((child) => child.name === "#text" && !child.data);
+  return false;
+}
+
+function isSubmitButton(node) {
+  const name = htmlName(node);
+  if (name === "button") {
+    const type = asciiLower(attrValue(node, "type") ?? "");
+    return type !== "reset" && type !== "button";
+  }
+  return name === "input" && (inputType(node) === "submit" || inputType(node) === "image");
+}
+
+function findElement(node, predicate) {
+  for (const child of node.children || []) {
+    if (isElementNode(child) && predicate(child)) return child;
+    const found = findElement(child, predicate);
+    if (found) return found;
+  }
+  return null;
+}
+
+function treeRoot(node) {
+  let root = node;
+  while (root.parent) root = root.parent;
+  return root;
+}
+
+function formOwner(node) {
+  const id = attrValue(node, "form");
+  if (id != null) {
+    const form = id ? findElement(treeRoot(node), (el) => attrValue(el, "id") === id) : null;
+    return form && htmlName(form) === "form" ? form : null;
+  }
+  for (let ancestor = node.parent; isElementNode(ancestor); ancestor = ancestor.parent) {
+    if (htmlName(ancestor) === "form") return ancestor;
+  }
+  return null;
+}
+
+// Checked checkboxes and radios, selected options, and the first submit button of each form.
+function isDefault(node) {
+  if (isChecked(node)) return true;
+  if (!isSubmitButton(node)) return false;
+  const form = formOwner(node);
+  if (!form) return false;
+  return findElement(treeRoot(node), (el) => isSubmitButton(el) && formOwner(el) === form) === node;
+}
+
+function isLink(node) {
+  const name = htmlName(node);
+  return (name === "a" || name === "area") && attrValue(node, "href") != null;
+}
+
+const STATE_PSEUDOS = {
+  checked: isChecked,
+  default: isDefault,
+  disabled: isDisabled,
+  enabled: (node) => DISABLEABLE_ELEMENTS.has(htmlName(node)) && !isDisabled(node),
+  required: isRequired,
+  optional: (node) => ["input", "select", "textarea"].includes(htmlName(node)) && !isRequired(node),
+  "read-write": isReadWrite,
+  "read-only": (node) => !isReadWrite(node),
+  "placeholder-shown": isPlaceholderShown,
+  link: isLink,
+  "any-link": isLink,
+};
+
+// Every pseudo-class _matchesPseudo knows, so unknown names fail when the selector is compiled.
+const SUPPORTED_PSEUDOS = new Set([
+  "first-child",
+  "last-child",
+  "only-child",
+  "nth-child",
+  "first-of-type",
+  "last-of-type",
+  "only-of-type",
+  "nth-of-type",
+  "empty",
+  "root",
+  "scope",
+  "not",
+  "is",
+  "where",
+  "has",
+  "lang",
+  "dir",
+  "contains",
+  "contains-own",
+  "text-matches",
+  ...Object.keys(STATE_PSEUDOS),
+]);
+
+// The nearest lang (or xml:lang on SVG and MathML) attribute, or null when the language is unknown.
+function elementLanguage(node) {
+  for (let current = node; isElementNode(current); current = current.parent) {
+    const xmlLang = htmlName(current) ? null : attrValue(current, "xml:lang");
+    if (xmlLang != null) return xmlLang;
+    const lang = attrValue(current, "lang");
+    if (lang != null) return lang;
+  }
+  return null;
+}
+
+function languageRanges(arg) {
+  return splitSelectorList(arg)
+    .map((range) => range.trim().replace(/^(["'])(.*)\1$/, "$2"))
+    .filter(Boolean);
+}
+
+// RFC 4647 extended filtering, which is what :lang() uses: "en" matches "en-GB", "*-CH" matches "de-CH".
+function matchesLanguageRange(language, range) {
+  const tag = asciiLower(language).split("-");
+  const wanted = asciiLower(range).split("-");
+  if (wanted[0] !== "*" && wanted[0] !== tag[0]) return false;
+
+  let i = 1;
+  for (let j = 1; j < wanted.length; ) {
+    if (wanted[j] === "*") j += 1;
+    else if (i >= tag.length || tag[i].length === 1) return false;
+    else if (tag[i] === wanted[j]) {
+      i += 1;
+      j += 1;
+    } else i += 1;
+  }
+  return true;
+}
+
+const RTL_SCRIPTS = ["Hebrew", "Arabic", "Syriac", "Thaana", "Nko", "Samaritan", "Mandaic", "Adlam"];
+const RTL_LETTER = new RegExp(RTL_SCRIPTS.map((script) => `\\p{Script=${script}}`).join("|"), "u");
+
+// The direction of the first strong (letter) character, or null when there is none.
+function textDirection(text) {
+  const letter = /\p{L}/u.exec(text);
+  if (!letter) return null;
+  return RTL_LETTER.test(letter[0]) ? "rtl" : "ltr";
+}
+
+function hasValidDir(node) {
+  return ["ltr", "rtl", "auto"].includes(asciiLower(attrValue(node, "dir") ?? ""));
+}
+
+function autoDirection(node) {
+  const name = htmlName(node);
+  if (name === "input") return textDirection(attrValue(node, "value") ?? "");
+
+  const walk = (parent) => {
+    for (const child of parent.children || []) {
+      let direction = null;
+      if (child.name === "#text") direction = textDirection(child.data || "");
+      else if (isElementNode(child)) {
+        const skip = ["bdi", "script", "style", "textarea"].includes(htmlName(child)) || hasValidDir(child);
+        if (!skip) direction = walk(child);
+      }
+      if (direction) return direction;
+    }
+    return null;
+  };
+  return walk(node);
+}
+
+function directionality(node) {
+  for (let current = node; isElementNode(current); current = current.parent) {
+    if (!htmlName(current)) continue;
+    const dir = asciiLower(attrValue(current, "dir") ?? "");
+    if (dir === "ltr" || dir === "rtl") return dir;
+    if (dir === "auto" || (current.name === "bdi" && !dir)) return autoDirection(current) ?? "ltr";
+  }
+  return "ltr";
+}
+
 class SelectorMatcher {
+  constructor() {
+    // The element a :has() argument is being matched against; :scope is the root element otherwise.
+    this.scopeNode = null;
+  }
+
   matches(node, selector) {
     if (selector instanceof SelectorList) return selector.selectors.some((sel) => this.matches(node, sel));
     if (selector instanceof ComplexSelector) return this._matchesComplex(node, selector);
@@ -501,26 +1185,36 @@ class SelectorMatcher {
     return false;
   }
 
+  // Names match case-insensitively on HTML elements only; the tree builder keeps SVG and MathML casing.
+  // Namespaced attributes on foreign elements are stored as "xlink:href" and only match [xlink|href] or [*|href].
   _matchesAttribute(node, selector) {
-    const attrs = node.attrs || {};
-    const attrName = String(selector.name || "").toLowerCase();
-
-    let found = false;
-    let attrValue = null;
-    for (const [name, value] of Object.entries(attrs)) {
-      if (name.toLowerCase() === attrName) {
-        found = true;
-        attrValue = value;
-        break;
-      }
+    const isHTML = (node.namespace ?? "html") === "html";
+    const wanted = isHTML ? asciiLower(String(selector.name || "")) : String(selector.name || "");
+
+    for (const [name, value] of Object.entries(node.attrs || {})) {
+      const adjustment = isHTML ? null : FOREIGN_ATTRIBUTE_ADJUSTMENTS[name];
+      const namespace = adjustment ? adjustment[2] : null;
+      const localName = adjustment ? adjustment[1] : name;
+      if (selector.namespace !== "*" && selector.namespace !== namespace) continue;
+      if ((isHTML ? asciiLower(localName) : localName) !== wanted) continue;
+
+      const caseInsensitive =
+        selector.flag === "i" || (selector.flag == null && isHTML && CASE_INSENSITIVE_ATTRIBUTE_VALUES.has(wanted));
+      if (this._matchesAttributeValue(value, selector, caseInsensitive)) return true;
     }
-    if (!found) return false;
+    return false;
+  }
 
+  _matchesAttributeValue(attrValue, selector, caseInsensitive) {
     if (selector.operator == null) return true;
 
     const op = selector.operator;
-    const value = selector.value;
-    const s = attrValue == null ? "" : String(attrValue);
+    let value = selector.value;
+    let s = attrValue == null ? "" : String(attrValue);
+    if (caseInsensitive) {
+      value = asciiLower(value);
+      s = asciiLower(s);
+    }
 
     if (op === "=") return s === value;
     if (op === "~=") return (s ? s.split(/\s+/).filter(Boolean) : []).includes(value);
@@ -537,12 +1231,24 @@ class SelectorMatcher {
 
     if (name === "first-child") return this._isFirstChild(node);
     if (name === "last-child") return this._isLastChild(node);
-    if (name === "nth-child") return this._matchesNthChild(node, selector.arg);
+    if (name === "nth-child") return this._matchesNthChild(node, selector.arg, selector.selector);
+
+    if (name === "not") return !this.matches(node, selector.selector);
+    if (name === "is" || name === "where") return this.matches(node, selector.selector);
+
+    if (name === "has") {
+      const saved = this.scopeNode;
+      this.scopeNode = node;
+      try {
+        return selector.selector.selectors.some((relative) => this._hasRelative(node, relative));
+      } finally {
+        this.scopeNode = saved;
+      }
+    }
 
-    if (name === "not") {
-      if (!selector.arg) return true;
-      const inner = parseSelector(selector.arg);
-      return !this.matches(node, inner);
+    if (name === "scope") {
+      if (this.scopeNode) return node === this.scopeNode;
+      return this._matchesPseudo(node, { name: "root" });
     }
 
     if (name === "only-child") return this._isFirstChild(node) && this._isLastChild(node);
@@ -569,9 +1275,47 @@ class SelectorMatcher {
     if (name === "nth-of-type") return this._matchesNthOfType(node, selector.arg);
     if (name === "only-of-type") return this._isFirstOfType(node) && this._isLastOfType(node);
 
+    if (Object.hasOwn(STATE_PSEUDOS, name)) return STATE_PSEUDOS[name](node);
+
+    if (name === "lang") {
+      const language = elementLanguage(node);
+      if (!language) return false;
+      return languageRanges(selector.arg).some((range) => matchesLanguageRange(language, range));
+    }
+
+    if (name === "dir") return directionality(node) === asciiLower(selector.arg);
+
+    // Non-standard extensions for scraping.
+    if (name === "contains") return elementText(node).includes(selector.value);
+    if (name === "contains-own") return ownText(node).includes(selector.value);
+    if (name === "text-matches") return selector.value.test(elementText(node));
+
     throw new SelectorError(`Unsupported pseudo-class: :${name}`);
   }
 
+  // Looks for an element matching relative in the part of the tree its first combinator can reach from node.
+  _hasRelative(node, relative) {
+    const combinator = relative.parts[1][0];
+
+    const search = (parent) => {
+      for (const child of parent.children || []) {
+        if (!isElementNode(child)) continue;
+        if (this._matchesComplex(child, relative) || search(child)) return true;
+      }
+      return false;
+    };
+
+    if (combinator === " " || combinator === ">") return search(node);
+
+    const siblings = node.parent?.children || [];
+    for (let i = siblings.indexOf(node) + 1; i < siblings.length; i += 1) {
+      const sibling = siblings[i];
+      if (!isElementNode(sibling)) continue;
+      if (this._matchesComplex(sibling, relative) || search(sibling)) return true;
+    }
+    return false;
+  }
+
   _getElementChildren(parent) {
     if (!parent || !Array.isArray(parent.children) || !parent.children.length) return [];
     return parent.children.filter((c) => isElementNode(c));
@@ -625,39 +1369,7 @@ class SelectorMatcher {
   }
 
   _parseNthExpression(expr) {
-    if (!expr) return null;
-
-    let s = String(expr).trim().toLowerCase();
-    if (s === "odd") return [2, 1];
-    if (s === "even") return [2, 0];
-
-    s = s.replaceAll(" ", "");
-
-    let a = 0;
-    let b = 0;
-
-    if (s.includes("n")) {
-      const parts = s.split("n");
-      const aPart = parts[0];
-      const bPart = parts.length > 1 ? parts[1] : "";
-
-      if (aPart === "" || aPart === "+") a = 1;
-      else if (aPart === "-") a = -1;
-      else {
-        a = Number.parseInt(aPart, 10);
-        if (Number.isNaN(a)) return null;
-      }
-
-      if (bPart) {
-        b = Number.parseInt(bPart, 10);
-        if (Number.isNaN(b)) return null;
-      }
-    } else {
-      b = Number.parseInt(s, 10);
-      if (Number.isNaN(b)) return null;
-    }
-
-    return [a, b];
+    return parseNth(expr);
   }
 
   _matchesNth(index, a, b) {
@@ -667,15 +1379,18 @@ class SelectorMatcher {
     return diff <= 0 && diff % a === 0;
   }
 
-  _matchesNthChild(node, arg) {
+  // With `of`, only siblings matching that selector are counted.
+  _matchesNthChild(node, arg, of = null) {
     const parent = node.parent;
     if (!parent) return false;
+    if (of && !this.matches(node, of)) return false;
 
     const parsed = this._parseNthExpression(arg);
     if (parsed == null) return false;
     const [a, b] = parsed;
 
-    const elements = this._getElementChildren(parent);
+    let elements = this._getElementChildren(parent);
+    if (of) elements = elements.filter((child) => this.matches(child, of));
     for (let i = 0; i < elements.length; i += 1) {
       if (elements[i] === node) return this._matchesNth(i + 1, a, b);
     }
@@ -704,16 +1419,106 @@ class SelectorMatcher {
 }
 
 function parseSelector(selectorString) {
-  if (!selectorString || !String(selectorString).trim()) throw new SelectorError("Empty selector");
+  const source = selectorString == null ? "" : String(selectorString);
+  if (!source.trim()) {
+    throw new SelectorError("Empty selector", { selector: source, position: 0, expected: "selector" });
+  }
 
-  const tokenizer = new SelectorTokenizer(String(selectorString).trim());
+  const tokenizer = new SelectorTokenizer(source);
   const tokens = tokenizer.tokenize();
-  const parser = new SelectorParser(tokens);
+  const parser = new SelectorParser(tokens, source);
   return parser.parse();
 }
 
 const matcher = new SelectorMatcher();
 
+// Pseudo-classes that only depend on an element's ancestors and earlier siblings. :root is left out since the
+// <html> it matches is usually implied.
+const STREAMING_PSEUDOS = new Set([
+  "first-child",
+  "nth-child",
+  "first-of-type",
+  "nth-of-type",
+  "not",
+  "is",
+  "where",
+]);
+
+const IMPLIED_ANCESTORS = new Set(["html", "head", "body", "tbody"]);
+const POSITION_PSEUDOS = new Set(["first-child", "nth-child", "first-of-type", "nth-of-type"]);
+
+// topLevel is true while the element being checked may have no parent tag in the source: its position among
+// the top-level tags says nothing about its position in the implied <html>, <head> or <body>.
+function checkStreamable(selector, source, topLevel = true) {
+  if (selector instanceof SelectorList) {
+    for (const sel of selector.selectors) checkStreamable(sel, source, topLevel);
+    return;
+  }
+
+  const last = selector.parts.length - 1;
+  for (const [index, [combinator, compound]] of selector.parts.entries()) {
+    if (combinator != null && combinator !== " " && combinator !== ">") {
+      throw new SelectorError(`Combinator ${JSON.stringify(combinator)} cannot be matched while streaming: ${source}`);
+    }
+    for (const simple of compound.selectors) {
+      // These are often implied rather than written, so there may be no tag for descendants to nest under.
+      const name = String(simple.name).toLowerCase();
+      if (index < last && simple.type === SimpleSelector.TYPE_TAG && IMPLIED_ANCESTORS.has(name)) {
+        throw new SelectorError(`<${name}> may be implied and cannot be matched as an ancestor: ${source}`);
+      }
+      if (simple.type !== SimpleSelector.TYPE_PSEUDO) continue;
+      if (!STREAMING_PSEUDOS.has(name)) {
+        throw new SelectorError(`Pseudo-class :${name} cannot be matched while streaming: ${source}`);
+      }
+      if (name === "nth-child" && simple.selector) {
+        throw new SelectorError(`:nth-child(An+B of S) cannot be matched while streaming: ${source}`);
+      }
+      const context = index === 0 && topLevel;
+      if (context && POSITION_PSEUDOS.has(name)) {
+        throw new SelectorError(`:${name} needs a parent element to be matched while streaming: ${source}`);
+      }
+      if (simple.selector) checkStreamable(simple.selector, source, context);
+    }
+  }
+}
+
+// Matches elements that only know their ancestors and their position among the siblings seen so far:
+// `index` and `typeIndex` are 1-based counts of preceding element siblings (of the same name) plus one.
+class StreamingMatcher extends SelectorMatcher {
+  _isFirstChild(node) {
+    return node.index === 1;
+  }
+
+  _isFirstOfType(node) {
+    return node.typeIndex === 1;
+  }
+
+  _matchesNthChild(node, arg) {
+    const parsed = this._parseNthExpression(arg);
+    if (parsed == null) return false;
+    return this._matchesNth(node.index, parsed[0], parsed[1]);
+  }
+
+  _matchesNthOfType(node, arg) {
+    const parsed = this._parseNthExpression(arg);
+    if (parsed == null) return false;
+    return this._matchesNth(node.typeIndex, parsed[0], parsed[1]);
+  }
+}
+
+const streamingMatcher = new StreamingMatcher();
+
+// Parses a selector that can be decided when an element's start tag is seen (used by rewrite()).
+export function parseStreamingSelector(selectorString) {
+  const selector = parseSelector(selectorString);
+  checkStreamable(selector, String(selectorString).trim());
+  return selector;
+}
+
+export function matchesStreaming(node, selector) {
+  return streamingMatcher.matches(node, selector);
+}
+
 function queryDescendants(node, selector, results) {
   if (!node || !Array.isArray(node.children)) return;
 
@@ -726,15 +1531,162 @@ function queryDescendants(node, selector, results) {
   if (templateContent) queryDescendants(templateContent, selector, results);
 }
 
+function queryFirstDescendant(node, selector) {
+  if (!node || !Array.isArray(node.children)) return null;
+
+  for (const child of node.children) {
+    if (isElementNode(child) && matcher.matches(child, selector)) return child;
+    const found = queryFirstDescendant(child, selector);
+    if (found) return found;
+  }
+
+  const templateContent = node.templateContent ?? node.template_content ?? null;
+  if (templateContent) return queryFirstDescendant(templateContent, selector);
+  return null;
+}
+
+function* iterDescendants(node, selector) {
+  if (!node || !Array.isArray(node.children)) return;
+
+  for (const child of node.children) {
+    if (isElementNode(child) && matcher.matches(child, selector)) yield child;
+    yield* iterDescendants(child, selector);
+  }
+
+  const templateContent = node.templateContent ?? node.template_content ?? null;
+  if (templateContent) yield* iterDescendants(templateContent, selector);
+}
+
+function addSpecificity(a, b) {
+  return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+}
+
+function compareSpecificity(a, b) {
+  return a[0] - b[0] || a[1] - b[1] || a[2] - b[2];
+}
+
+// [ids, classes/attributes/pseudo-classes, types]. A list counts as its most specific selector, which is
+// also how :is(), :not() and :has() count their arguments; :where() counts nothing.
+function specificityOf(selector) {
+  if (selector instanceof SelectorList) {
+    return selector.selectors.map(specificityOf).reduce((a, b) => (compareSpecificity(a, b) >= 0 ? a : b));
+  }
+  if (selector instanceof ComplexSelector) {
+    return selector.parts.reduce((total, [, compound]) => addSpecificity(total, specificityOf(compound)), [0, 0, 0]);
+  }
+  if (selector instanceof CompoundSelector) {
+    return selector.selectors.reduce((total, simple) => addSpecificity(total, specificityOf(simple)), [0, 0, 0]);
+  }
+
+  // The implicit :scope that anchors a :has() argument is not part of what was written.
+  if (selector === SCOPE_SELECTOR) return [0, 0, 0];
+  if (selector.type === SimpleSelector.TYPE_ID) return [1, 0, 0];
+  if (selector.type === SimpleSelector.TYPE_TAG) return [0, 0, 1];
+  if (selector.type === SimpleSelector.TYPE_UNIVERSAL) return [0, 0, 0];
+  if (selector.type !== SimpleSelector.TYPE_PSEUDO || !selector.selector) return [0, 1, 0];
+
+  const name = String(selector.name).toLowerCase();
+  if (name === "where") return [0, 0, 0];
+  if (name === "nth-child") return addSpecificity([0, 1, 0], specificityOf(selector.selector));
+  return specificityOf(selector.selector);
+}
+
+class CompiledSelector {
+  constructor(selectorString) {
+    this.selector = parseSelector(selectorString);
+    this.source = String(selectorString).trim();
+    this.specificity = Object.freeze(specificityOf(this.selector));
+    Object.freeze(this);
+  }
+
+  matches(node) {
+    return matcher.matches(node, this.selector);
+  }
+
+  query(root) {
+    const results = [];
+    queryDescendants(root, this.selector, results);
+    return results;
+  }
+
+  queryFirst(root) {
+    return queryFirstDescendant(root, this.selector);
+  }
+
+  // Matches lazily in document order; stop iterating to skip the rest of the tree.
+  queryIter(root) {
+    return iterDescendants(root, this.selector);
+  }
+
+  // The node itself or its nearest ancestor element that matches, or null.
+  closest(node) {
+    for (let current = node; isElementNode(current); current = current.parent) {
+      if (matcher.matches(current, this.selector)) return current;
+    }
+    return null;
+  }
+}
+
+// Compiled selectors by source string, least recently used first.
+const SELECTOR_CACHE_SIZE = 256;
+const selectorCache = new Map();
+
+export function compileSelector(selectorString) {
+  let compiled = selectorCache.get(selectorString);
+  if (compiled) {
+    selectorCache.delete(selectorString);
+  } else {
+    compiled = new CompiledSelector(selectorString);
+    if (selectorCache.size >= SELECTOR_CACHE_SIZE) selectorCache.delete(selectorCache.keys().next().value);
+  }
+  selectorCache.set(selectorString, compiled);
+  return compiled;
+}
+
 export function query(root, selectorString) {
-  const selector = parseSelector(selectorString);
-  const results = [];
-  queryDescendants(root, selector, results);
-  return results;
+  return compileSelector(selectorString).query(root);
 }
 
-export function matches(node, selectorString) {
-  const selector = parseSelector(selectorString);
-  return matcher.matches(node, selector);
+function toCompiled(selector) {
+  return selector instanceof CompiledSelector ? selector : compileSelector(selector);
+}
+
+// [ids, classes/attributes/pseudo-classes, types] for a selector string or compiled selector.
+export function specificity(selector) {
+  return [...toCompiled(selector).specificity];
+}
+
+// The selectors that match node as { selector, specificity, index }, least specific first with ties in source
+// order, so the last entry is the rule a stylesheet would apply. A list counts as its most specific matching member.
+export function matchingSelectors(node, selectors) {
+  const matched = [];
+  for (const [index, selector] of [...selectors].entries()) {
+    const compiled = toCompiled(selector);
+    const members = compiled.selector instanceof SelectorList ? compiled.selector.selectors : [compiled.selector];
+
+    let best = null;
+    for (const member of members) {
+      if (!matcher.matches(node, member)) continue;
+      const value = specificityOf(member);
+      if (!best || compareSpecificity(value, best) > 0) best = value;
+    }
+    if (best) matched.push({ selector, specificity: best, index });
+  }
+  return matched.sort((a, b) => compareSpecificity(a.specificity, b.specificity) || a.index - b.index);
 }
 
+export function queryOne(root, selectorString) {
+  return compileSelector(selectorString).queryFirst(root);
+}
+
+export function queryIter(root, selectorString) {
+  return compileSelector(selectorString).queryIter(root);
+}
+
+export function closest(node, selectorString) {
+  return compileSelector(selectorString).closest(node);
+}
+
+export function matches(node, selectorString) {
+  return compileSelector(selectorString).matches(node);
+}
@@ -156,6 +156,24 @@ function serializeStartTag(name, attrs) {
   return parts.join("");
 }
 
+function quoteDoctypeId(id) {
+  return id.includes('"') ? `'${id}'` : `"${id}"`;
+}
+
+// The doctype as written, keeping legacy public and system identifiers. Hand-built doctype nodes without data
+// are written as <!DOCTYPE html>.
+function serializeDoctype(doctype) {
+  if (doctype == null) return "<!DOCTYPE html>";
+  let html = doctype.name ? `<!DOCTYPE ${doctype.name}` : "<!DOCTYPE";
+  if (doctype.publicId != null) {
+    html += ` PUBLIC ${quoteDoctypeId(doctype.publicId)}`;
+    if (doctype.systemId != null) html += ` ${quoteDoctypeId(doctype.systemId)}`;
+  } else if (doctype.systemId != null) {
+    html += ` SYSTEM ${quoteDoctypeId(doctype.systemId)}`;
+  }
+  return `${html}>`;
+}
+
 function serializeEndTag(name) {
   return `</${name}>`;
 }
@@ -177,7 +195,7 @@ function nodeToHTML(node, indent = 0, indentSize = 2, pretty = true) {
 
   if (name === "#comment") return `${prefix}<!--${node.data || ""}-->`;
 
-  if (name === "!doctype") return `${prefix}<!DOCTYPE html>`;
+  if (name === "!doctype") return `${prefix}${serializeDoctype(node.data)}`;
 
   if (name === "#document-fragment") {
     const parts = [];
@@ -224,3 +242,62 @@ function nodeToHTML(node, indent = 0, indentSize = 2, pretty = true) {
 export function toHTML(node, { indent = 0, indentSize = 2, pretty = true } = {}) {
   return nodeToHTML(node, indent, indentSize, pretty);
 }
+
+// The WHATWG "serializing HTML fragments" algorithm, which is what innerHTML and outerHTML return.
+
+// Elements written without an end tag; the parser's list plus legacy elements that still serialize this way.
+const SERIALIZES_AS_VOID = new Set([...VOID_ELEMENTS, "basefont", "bgsound", "frame", "keygen"]);
+
+// Text inside these is written as-is: the parser reads it back as raw text.
+const RAW_TEXT_PARENTS = new Set(["style", "script", "xmp", "iframe", "noembed", "noframes", "plaintext"]);
+const NOSCRIPT = new Set(["noscript"]);
+
+function isHTMLElement(node, names) {
+  return node != null && (node.namespace ?? "html") === "html" && names.has(node.name);
+}
+
+function escapeString(text, attributeMode) {
+  const escaped = String(text ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("\u00a0", "&nbsp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;");
+  return attributeMode ? escaped.replaceAll('"', "&quot;") : escaped;
+}
+
+function serializeNode(node, parent, scripting) {
+  const name = node.name;
+  if (name === "#text") {
+    const raw = isHTMLElement(parent, RAW_TEXT_PARENTS) || (scripting && isHTMLElement(parent, NOSCRIPT));
+    return raw ? String(node.data ?? "") : escapeString(node.data, false);
+  }
+  if (name === "#comment") return `<!--${node.data ?? ""}-->`;
+  if (name === "!doctype") return `<!DOCTYPE ${node.data?.name ?? ""}>`;
+  if (name === "#document" || name === "#document-fragment") return serializeChildren(node, scripting);
+
+  let html = `<${name}`;
+  for (const [key, value] of Object.entries(node.attrs || {})) html += ` ${key}="${escapeString(value, true)}"`;
+  html += ">";
+  if (isHTMLElement(node, SERIALIZES_AS_VOID)) return html;
+  return `${html}${serializeChildren(node, scripting)}</${name}>`;
+}
+
+function serializeChildren(node, scripting) {
+  if (isHTMLElement(node, SERIALIZES_AS_VOID)) return "";
+  const isTemplate = node.name === "template" && (node.namespace ?? "html") === "html" && node.templateContent;
+  const container = isTemplate ? node.templateContent : node;
+  let html = "";
+  for (const child of container.children || []) html += serializeNode(child, container, scripting);
+  return html;
+}
+
+// The markup for node itself, as outerHTML gives it. Documents and fragments serialize their children.
+// With scripting, <noscript> contents are written as raw text, as a browser with scripts enabled would.
+export function serializeHTML(node, { scripting = false } = {}) {
+  return serializeNode(node, node.parent, scripting);
+}
+
+// The markup for node's children (a template's contents), as innerHTML gives it.
+export function serializeInnerHTML(node, { scripting = false } = {}) {
+  return serializeChildren(node, scripting);
+}
@@ -1,31 +1,35 @@
-import { decodeHTML } from "./encoding.js";
+import { FORMAT_MARKER } from "./constants.js";
+import { HTMLStreamDecoder, decodeHTML } from "./encoding.js";
+import { createParser } from "./parser.js";
 import { Tokenizer, TokenizerOpts } from "./tokenizer.js";
-import { CommentToken, DoctypeToken, Tag, TokenSinkResult } from "./tokens.js";
+import { CommentToken, DoctypeToken, EOFToken, Tag, TokenSinkResult } from "./tokens.js";
 
 class StreamSink {
   constructor() {
     this.events = [];
     this.openElements = [{ namespace: "html" }];
+    // Set when positions are requested; the tokenizer then tracks the span of each token.
+    this.tokenizer = null;
   }
 
   processToken(token) {
     if (token instanceof Tag) {
       if (token.kind === Tag.START) {
-        this.events.push(["start", [token.name, { ...(token.attrs || {}) }]]);
+        this._push("start", [token.name, { ...(token.attrs || {}) }]);
       } else {
-        this.events.push(["end", token.name]);
+        this._push("end", token.name);
       }
       return TokenSinkResult.Continue;
     }
 
     if (token instanceof CommentToken) {
-      this.events.push(["comment", token.data]);
+      this._push("comment", token.data);
       return TokenSinkResult.Continue;
     }
 
     if (token instanceof DoctypeToken) {
       const dt = token.doctype;
-      this.events.push(["doctype", [dt?.name ?? null, dt?.publicId ?? null, dt?.systemId ?? null]]);
+      this._push("doctype", [dt?.name ?? null, dt?.publicId ?? null, dt?.systemId ?? null]);
       return TokenSinkResult.Continue;
     }
 
@@ -33,11 +37,152 @@ class StreamSink {
   }
 
   processCharacters(data) {
-    this.events.push(["text", data]);
+    this._push("text", data);
+  }
+
+  _push(event, data) {
+    const tokenizer = this.tokenizer;
+    if (!tokenizer) {
+      this.events.push([event, data]);
+      return;
+    }
+
+    const start = tokenizer.lastTokenStart;
+    const end = tokenizer.lastTokenEnd;
+    const position = { startOffset: start, endOffset: end, raw: tokenizer.sourceSlice(start, end) };
+    if (event === "start") {
+      position.attrs = {};
+      for (const [name, [attrStart, attrEnd]] of Object.entries(tokenizer.lastAttrSpans)) {
+        position.attrs[name] = { startOffset: attrStart, endOffset: attrEnd, raw: tokenizer.sourceSlice(attrStart, attrEnd) };
+      }
+    }
+    this.events.push([event, data, position]);
+  }
+}
+
+function childrenOf(node) {
+  if (node.name === "template" && node.templateContent) return node.templateContent.children;
+  return node.children || [];
+}
+
+// Drives the tree builder and emits events for the part of the tree it can no longer change.
+// Emitted nodes are detached, so only the still-open part of the document stays in memory.
+class TreeEventSink {
+  constructor(treeBuilder) {
+    this.treeBuilder = treeBuilder;
+    this.events = [];
+    // Nodes whose start event has been emitted but not their end event.
+    this.path = [treeBuilder.document];
+  }
+
+  get openElements() {
+    return this.treeBuilder.open_elements;
+  }
+
+  get open_elements() {
+    return this.treeBuilder.open_elements;
+  }
+
+  processToken(token) {
+    const result = this.treeBuilder.processToken(token);
+    if (token instanceof EOFToken) {
+      this.treeBuilder.finish();
+      this._emitStable(true);
+    } else {
+      this._emitStable(false);
+    }
+    return result;
+  }
+
+  processCharacters(data) {
+    this.treeBuilder.processCharacters(data);
+    this._emitStable(false);
+  }
+
+  _emitStable(done) {
+    const tb = this.treeBuilder;
+    const openIndex = new Map();
+    const live = new Set();
+    let movableFrom = Infinity;
+
+    if (!done) {
+      tb.open_elements.forEach((node, index) => openIndex.set(node, index));
+      // Open elements and their ancestors can still gain children.
+      for (const node of tb.open_elements) {
+        for (let n = node; n && !live.has(n); n = n.parent) live.add(n);
+      }
+      // With only <html> open, the "after head" insertion mode can put elements back into the head.
+      if (tb.head_element && !tb.open_elements.some((n) => n.name === "body" || n.name === "frameset")) {
+        live.add(tb.head_element);
+      }
+      // The adoption agency can move anything below the outermost open formatting element.
+      for (const entry of tb.active_formatting) {
+        if (entry === FORMAT_MARKER) continue;
+        const index = openIndex.get(entry.node);
+        if (index != null && index < movableFrom) movableFrom = index;
+      }
+    }
+
+    const canEnter = (node) => {
+      const index = openIndex.get(node);
+      if (index != null && index > movableFrom) return false;
+      // Foster parenting inserts before an open table; selects get their selectedcontent filled in on close;
+      // body is replaced if a frameset turns up while that is still allowed.
+      if (index != null && (node.name === "table" || node.name === "select")) return false;
+      if (node.name === "body" && tb.frameset_ok) return false;
+      // A later <html> or <body> tag still adds its attributes; wait for a child so adjacent duplicates merge.
+      if ((node.name === "html" || node.name === "body") && !childrenOf(node).length) return false;
+      return true;
+    };
+
+    while (this.path.length) {
+      const parent = this.path[this.path.length - 1];
+      const children = childrenOf(parent);
+
+      if (!children.length) {
+        if (live.has(parent) || (parent === tb.document && !done)) break;
+        this.path.pop();
+        if (parent === tb.document) break;
+        this.events.push(["end", parent.name]);
+        if (parent.parent) parent.parent.remove_child(parent);
+        continue;
+      }
+
+      const child = children[0];
+      if (child.name === "#text") {
+        // Text can still be appended to while it is the last child, or merged into before an open table.
+        const next = children[1];
+        if (!done && ((!next && live.has(parent)) || (next && next.name === "table" && openIndex.has(next)))) break;
+      } else if (live.has(child)) {
+        if (!canEnter(child)) break;
+        this.events.push(["start", [child.name, { ...(child.attrs || {}) }]]);
+        this.path.push(child);
+        continue;
+      }
+
+      if (!done) tb._populate_selectedcontent(child);
+      this._emitSubtree(child);
+      child.parent.remove_child(child);
+    }
+  }
+
+  _emitSubtree(node) {
+    if (node.name === "#text") {
+      this.events.push(["text", node.data]);
+    } else if (node.name === "#comment") {
+      this.events.push(["comment", node.data]);
+    } else if (node.name === "!doctype") {
+      const dt = node.data;
+      this.events.push(["doctype", [dt?.name ?? null, dt?.publicId ?? null, dt?.systemId ?? null]]);
+    } else {
+      this.events.push(["start", [node.name, { ...(node.attrs || {}) }]]);
+      for (const child of childrenOf(node)) this._emitSubtree(child);
+      this.events.push(["end", node.name]);
+    }
   }
 }
 
-export function* stream(html, { encoding = null, tokenizerOpts = null } = {}) {
+export function* stream(html, { encoding = null, tokenizerOpts = null, treeEvents = false, positions = false } = {}) {
   let input = html;
   if (input == null) input = "";
 
@@ -54,37 +199,118 @@ export function* stream(html, { encoding = null, tokenizerOpts = null } = {}) {
     input = String(input);
   }
 
+  const { tokenizer, sink } = createStreamTokenizer(tokenizerOpts, treeEvents, positions);
+  tokenizer.initialize(input);
+
+  yield* runSteps(tokenizer, sink);
+}
+
+// Like stream(), but reads an AsyncIterable or ReadableStream of string / Uint8Array chunks as they arrive.
+export async function* streamAsync(
+  source,
+  { encoding = null, tokenizerOpts = null, treeEvents = false, positions = false } = {}
+) {
+  const { tokenizer, sink } = createStreamTokenizer(tokenizerOpts, treeEvents, positions);
+  tokenizer.initialize("", { final: false });
+
+  let decoder = null;
+  let textInput = false;
+  for await (let chunk of readChunks(source)) {
+    if (chunk instanceof ArrayBuffer) chunk = new Uint8Array(chunk);
+    if (chunk instanceof Uint8Array) {
+      if (textInput) throw new TypeError("Cannot mix string and byte chunks");
+      if (!decoder) decoder = new HTMLStreamDecoder({ transportEncoding: encoding });
+      tokenizer.feed(decoder.decode(chunk));
+    } else {
+      if (decoder) throw new TypeError("Cannot mix string and byte chunks");
+      textInput = true;
+      tokenizer.feed(String(chunk));
+    }
+    yield* runSteps(tokenizer, sink);
+  }
+
+  if (decoder) tokenizer.feed(decoder.flush());
+  tokenizer.end();
+  yield* runSteps(tokenizer, sink);
+}
+
+function createStreamTokenizer(tokenizerOpts, treeEvents, positions) {
+  if (treeEvents && positions) throw new TypeError("positions is not supported together with treeEvents");
+  if (treeEvents) {
+    const { tokenizer, treeBuilder } = createParser({ tokenizerOpts });
+    const sink = new TreeEventSink(treeBuilder);
+    tokenizer.sink = sink;
+    return { tokenizer, sink };
+  }
+
   const sink = new StreamSink();
   const opts = tokenizerOpts instanceof TokenizerOpts ? tokenizerOpts : new TokenizerOpts(tokenizerOpts || {});
-  const tokenizer = new Tokenizer(sink, opts);
-  tokenizer.initialize(input);
+  const tokenizer = new Tokenizer(sink, opts, { trackLocations: Boolean(positions) });
+  if (positions) sink.tokenizer = tokenizer;
+  return { tokenizer, sink };
+}
+
+async function* readChunks(source) {
+  if (source == null) return;
+  if (typeof source === "string" || source instanceof Uint8Array || source instanceof ArrayBuffer) {
+    yield source;
+    return;
+  }
+
+  if (typeof source.getReader === "function") {
+    const reader = source.getReader();
+    let done = false;
+    try {
+      while (!done) {
+        const result = await reader.read();
+        done = result.done;
+        if (!done) yield result.value;
+      }
+      return;
+    } finally {
+      // Leaving early (a break in the consumer or an error) cancels the stream so its source can clean up.
+      // A rejected cancel must not hide why we stopped reading.
+      if (!done) await reader.cancel().catch(() => {});
+      reader.releaseLock();
+    }
+  }
+
+  yield* source;
+}
 
-  // eslint-disable-next-line no-constant-condition
-  while (true) {
+// Step the tokenizer as far as its buffered input allows, yielding events with adjacent text merged.
+function* runSteps(tokenizer, sink) {
+  while (tokenizer.canStep()) {
     const isEof = tokenizer.step();
 
     if (sink.events.length) {
-      let textBuffer = null;
+      let text = null;
 
-      for (const [event, data] of sink.events) {
-        if (event === "text") {
-          if (textBuffer == null) textBuffer = "";
-          textBuffer += data || "";
+      for (const event of sink.events) {
+        if (event[0] === "text") {
+          if (text == null) {
+            text = event;
+          } else {
+            text[1] += event[1];
+            if (text[2]) {
+              text[2].endOffset = event[2].endOffset;
+              text[2].raw += event[2].raw;
+            }
+          }
           continue;
         }
 
-        if (textBuffer != null) {
-          yield ["text", textBuffer];
-          textBuffer = null;
+        if (text != null) {
+          yield text;
+          text = null;
         }
-        yield [event, data];
+        yield event;
       }
 
-      if (textBuffer != null) yield ["text", textBuffer];
+      if (text != null) yield text;
       sink.events.length = 0;
     }
 
     if (isEof) break;
   }
 }
-
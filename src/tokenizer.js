@@ -1,5 +1,5 @@
 import { decodeEntitiesInText } from "./entities.js";
-import { CharacterToken, CommentToken, Doctype, DoctypeToken, EOFToken, Tag, TokenSinkResult } from "./tokens.js";
+import { CharacterToken, CommentToken, Doctype, DoctypeToken, EOFToken, ParseError, Tag, TokenSinkResult } from "./tokens.js";
 
 function isWhitespace(c) {
   return c === "\t" || c === "\n" || c === "\f" || c === " " || c === "\r";
@@ -16,6 +16,10 @@ function asciiLower(c) {
   return c;
 }
 
+function comparePositions(a, b) {
+  return a.line - b.line || a.column - b.column;
+}
+
 function coerceTextForXML(text) {
   if (!text) return text;
 
@@ -54,6 +58,9 @@ function coerceCommentForXML(text) {
 const RCDATA_ELEMENTS = new Set(["title", "textarea"]);
 const RAWTEXT_SWITCH_TAGS = new Set(["script", "style", "xmp", "iframe", "noembed", "noframes", "textarea", "title"]);
 
+// Raw characters a single step may look at: "[CDATA[" after "<!", or a CRLF pair.
+const INCREMENTAL_LOOKAHEAD = 8;
+
 export class TokenizerOpts {
   constructor({ initialState = null, initialRawtextTag = null, discardBom = true, xmlCoercion = false } = {}) {
     this.initialState = initialState;
@@ -128,20 +135,36 @@ export class Tokenizer {
   static SCRIPT_DATA_DOUBLE_ESCAPED_LESS_THAN_SIGN = 59;
   static SCRIPT_DATA_DOUBLE_ESCAPE_END = 60;
 
-  constructor(sink, opts = new TokenizerOpts(), { collectErrors = false } = {}) {
+  constructor(sink, opts = new TokenizerOpts(), { collectErrors = false, trackLocations = false } = {}) {
     this.sink = sink;
     this.opts = opts;
     this.collectErrors = Boolean(collectErrors);
+    this.trackLocations = Boolean(trackLocations);
 
     this.errors = [];
 
     this.state = Tokenizer.DATA;
+    // Offsets are absolute; the buffer only holds input from bufferOffset onwards.
     this.buffer = "";
+    this.bufferOffset = 0;
     this.length = 0;
+    this.final = true;
+    this.pendingBom = false;
     this.pos = 0;
     this.reconsume = false;
     this.currentChar = null;
     this.ignoreLF = false;
+    this.lineStarts = [0];
+    this.lineScanPos = 0;
+
+    // Source offsets: where the token being built began, and the span of the last emitted token.
+    this.tokenStart = 0;
+    this.textEnd = 0;
+    this.lastTokenStart = 0;
+    this.lastTokenEnd = 0;
+    this.currentAttrStart = 0;
+    this.currentTagAttrSpans = {};
+    this.lastAttrSpans = {};
 
     this.textBuffer = [];
     this.currentTagName = [];
@@ -149,6 +172,8 @@ export class Tokenizer {
     this.currentAttrName = [];
     this.currentAttrValue = [];
     this.currentAttrValueHasAmp = false;
+    this.currentAttrAmpOffset = 0;
+    this.currentAttrAmpIndex = 0;
     this.currentTagSelfClosing = false;
     this.currentTagKind = Tag.START;
     this.currentComment = [];
@@ -167,24 +192,38 @@ export class Tokenizer {
     this._commentToken = new CommentToken("");
   }
 
-  initialize(html) {
-    let input = html || "";
-    if (this.opts.discardBom && input && input[0] === "\ufeff") input = input.slice(1);
+  initialize(html, { final = true } = {}) {
+    const input = html || "";
 
     this.buffer = input;
+    this.bufferOffset = 0;
     this.length = input.length;
+    this.final = Boolean(final);
+    this.pendingBom = !this.final && this.opts.discardBom;
     this.pos = 0;
     this.reconsume = false;
     this.currentChar = null;
     this.ignoreLF = false;
+    this.lineStarts = [0];
+    this.lineScanPos = 0;
     this.errors = [];
 
+    this.tokenStart = 0;
+    this.textEnd = 0;
+    this.lastTokenStart = 0;
+    this.lastTokenEnd = 0;
+    this.currentAttrStart = 0;
+    this.currentTagAttrSpans = {};
+    this.lastAttrSpans = {};
+
     this.textBuffer.length = 0;
     this.currentTagName.length = 0;
     this.currentTagAttrs = {};
     this.currentAttrName.length = 0;
     this.currentAttrValue.length = 0;
     this.currentAttrValueHasAmp = false;
+    this.currentAttrAmpOffset = 0;
+    this.currentAttrAmpIndex = 0;
     this.currentTagSelfClosing = false;
     this.currentTagKind = Tag.START;
     this.currentComment.length = 0;
@@ -201,6 +240,19 @@ export class Tokenizer {
 
     if (typeof this.opts.initialState === "number") this.state = this.opts.initialState;
     else this.state = Tokenizer.DATA;
+
+    if (this.opts.discardBom && input[0] === "\ufeff") this._skipBom();
+  }
+
+  // Start after a leading BOM; offsets still count it, so they index the original input.
+  _skipBom() {
+    this.pos = 1;
+    this.lineStarts = [1];
+    this.lineScanPos = 1;
+    this.tokenStart = 1;
+    this.textEnd = 1;
+    this.lastTokenStart = 1;
+    this.lastTokenEnd = 1;
   }
 
   run(html) {
@@ -211,6 +263,44 @@ export class Tokenizer {
     }
   }
 
+  // Incremental input: initialize("", { final: false }), then feed() chunks and pump() after each one.
+  feed(text) {
+    if (!text) return;
+
+    // Drop input the state machine has consumed; line starts are recorded first so positions stay valid.
+    // With location tracking, the source of the token being built is kept for sourceSlice().
+    const keep = this.trackLocations ? Math.min(this.pos, this.tokenStart, this.lastTokenEnd) : this.pos;
+    if (keep > this.bufferOffset) {
+      this._scanLines(keep);
+      this.buffer = this.buffer.slice(keep - this.bufferOffset);
+      this.bufferOffset = keep;
+    }
+    this.buffer += text;
+    this.length += text.length;
+
+    if (this.pendingBom) {
+      this.pendingBom = false;
+      if (text[0] === "\ufeff") this._skipBom();
+    }
+  }
+
+  end() {
+    this.final = true;
+  }
+
+  // Whether enough input is buffered to decide the next transition.
+  canStep() {
+    return this.final || this.length - this.pos > INCREMENTAL_LOOKAHEAD;
+  }
+
+  // Step while canStep() allows; returns true once EOF is emitted.
+  pump() {
+    while (this.canStep()) {
+      if (this.step()) return true;
+    }
+    return false;
+  }
+
   step() {
     switch (this.state) {
       case Tokenizer.DATA:
@@ -354,7 +444,7 @@ export class Tokenizer {
         return null;
       }
 
-      let c = this.buffer[this.pos];
+      let c = this.buffer[this.pos - this.bufferOffset];
       this.pos += 1;
 
       if (c === "\r") {
@@ -368,22 +458,54 @@ export class Tokenizer {
       }
 
       this.currentChar = c;
+      if (this.collectErrors) this._checkInputCharacter(c);
       return c;
     }
   }
 
+  // Input stream errors for the character just consumed: controls, noncharacters and lone surrogates.
+  _checkInputCharacter(c) {
+    const code = c.charCodeAt(0);
+    if (code < 0x7f) {
+      if (code > 0 && code < 0x20 && code !== 0x09 && code !== 0x0a && code !== 0x0c) {
+        this._emitError("control-character-in-input-stream");
+      }
+      return;
+    }
+    if (code <= 0x9f) {
+      this._emitError("control-character-in-input-stream");
+    } else if (code >= 0xd800 && code <= 0xdbff) {
+      const next = this._peekChar(0);
+      const low = next == null ? 0 : next.charCodeAt(0);
+      if (low < 0xdc00 || low > 0xdfff) this._emitError("surrogate-in-input-stream");
+    } else if (code >= 0xdc00 && code <= 0xdfff) {
+      const previous = this._peekChar(-2);
+      const high = previous == null ? 0 : previous.charCodeAt(0);
+      if (high < 0xd800 || high > 0xdbff) this._emitError("surrogate-in-input-stream");
+      // Supplementary noncharacters (U+1FFFE, U+1FFFF, ...) all end in DFFE or DFFF.
+      else if (code >= 0xdffe) this._emitError("noncharacter-in-input-stream", this.pos - 2);
+    } else if ((code >= 0xfdd0 && code <= 0xfdef) || code >= 0xfffe) {
+      this._emitError("noncharacter-in-input-stream");
+    }
+  }
+
   _reconsumeCurrent() {
     this.reconsume = true;
+    // Text appended in this step ends before the character that will be consumed again.
+    if (this.currentChar != null && this.textEnd > this.pos - 1) this.textEnd = this.pos - 1;
   }
 
   _peekChar(offset) {
     const pos = this.pos + offset;
-    if (pos < 0 || pos >= this.length) return null;
-    return this.buffer[pos];
+    if (pos < this.bufferOffset || pos >= this.length) return null;
+    return this.buffer[pos - this.bufferOffset];
   }
 
   _appendText(s) {
-    if (s) this.textBuffer.push(s);
+    if (!s) return;
+    this.textBuffer.push(s);
+    // A CR consumed as a newline still owns the LF that follows it.
+    this.textEnd = this.ignoreLF && this._peekChar(0) === "\n" ? this.pos + 1 : this.pos;
   }
 
   _flushText() {
@@ -397,28 +519,114 @@ export class Tokenizer {
     const state = this.state;
     const inCDATA = state >= Tokenizer.CDATA_SECTION && state <= Tokenizer.CDATA_SECTION_END;
     if (!inCDATA && state < Tokenizer.RAWTEXT && state < Tokenizer.PLAINTEXT) {
-      if (data.includes("&")) data = decodeEntitiesInText(data);
+      if (data.includes("&")) {
+        data = decodeEntitiesInText(data, { onError: this._referenceErrorHandler(this.lastTokenEnd) });
+      }
     }
 
     if (this.opts.xmlCoercion) data = coerceTextForXML(data);
 
+    // Text fills the gap between the previous token and the last character appended.
+    this.lastTokenStart = this.lastTokenEnd;
+    this.lastTokenEnd = Math.max(this.lastTokenStart, this.textEnd);
     this.sink.processCharacters(data);
   }
 
+  // Character reference errors are found after the fact; map their text index back to the source from start.
+  _referenceErrorHandler(start, firstIndex = 0) {
+    if (!this.collectErrors) return null;
+    return (code, index) => {
+      this._emitError(code, this._sourceOffset(start, index - firstIndex));
+      // Keep errors in source order ahead of any reported while the text was still being read.
+      const errors = this.errors;
+      for (let k = errors.length - 1; k > 0 && comparePositions(errors[k - 1], errors[k]) > 0; k -= 1) {
+        [errors[k - 1], errors[k]] = [errors[k], errors[k - 1]];
+      }
+    };
+  }
+
+  // The buffer offset reached after count characters from start, where a CRLF is a single character.
+  _sourceOffset(start, count) {
+    let offset = start;
+    for (let k = 0; k < count && offset < this.length; k += 1) {
+      const at = offset - this.bufferOffset;
+      offset += this.buffer[at] === "\r" && this.buffer[at + 1] === "\n" ? 2 : 1;
+    }
+    return offset;
+  }
+
+  _markToken() {
+    this.lastTokenStart = this.tokenStart;
+    this.lastTokenEnd = this.pos;
+  }
+
   _emitToken(token) {
+    if (token instanceof EOFToken) this.tokenStart = this.pos;
+    this._markToken();
     this.sink.processToken(token);
   }
 
-  _emitError(_code) {
-    // Tokenizer tests are currently token-only (errors ignored in our harness).
+  _emitError(code, offset = null) {
+    if (!this.collectErrors) return;
+    // By default the error points at the character just consumed, or at the end of input on EOF.
+    let at = offset;
+    if (at == null) at = this.currentChar == null ? this.pos : Math.max(0, this.pos - 1);
+    const [line, column] = this.positionAt(at);
+    this.errors.push(new ParseError(code, { line, column }));
+  }
+
+  sourceSlice(start, end) {
+    return this.buffer.slice(Math.max(0, start - this.bufferOffset), end - this.bufferOffset);
+  }
+
+  // Map a buffer offset to a 1-based [line, column], treating CRLF and lone CR as a single newline.
+  positionAt(offset) {
+    this._scanLines(this.length);
+
+    const starts = this.lineStarts;
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return [lo + 1, offset - starts[lo] + 1];
+  }
+
+  _scanLines(end) {
+    const starts = this.lineStarts;
+    const buffer = this.buffer;
+    const base = this.bufferOffset;
+    let i = this.lineScanPos;
+    for (; i < end; i += 1) {
+      const c = buffer[i - base];
+      if (c === "\n") {
+        starts.push(i + 1);
+      } else if (c === "\r") {
+        // A trailing CR may still turn out to be half of a CRLF.
+        if (i + 1 >= this.length && !this.final) break;
+        if (buffer[i + 1 - base] !== "\n") starts.push(i + 1);
+      }
+    }
+    this.lineScanPos = i;
   }
 
   _startNewAttribute() {
+    this.currentAttrStart = this.pos - 1;
     this.currentAttrName.length = 0;
     this.currentAttrValue.length = 0;
     this.currentAttrValueHasAmp = false;
   }
 
+  _noteAttrAmpersand() {
+    if (this.currentAttrValueHasAmp) return;
+    this.currentAttrValueHasAmp = true;
+    // Where the first reference starts, so that decoding errors can be located in the source.
+    this.currentAttrAmpOffset = this.pos - 1;
+    this.currentAttrAmpIndex = this.currentAttrValue.length;
+  }
+
   _finishAttribute() {
     if (!this.currentAttrName.length) return;
     const name = this.currentAttrName.join("");
@@ -435,10 +643,19 @@ export class Tokenizer {
     if (this.currentAttrValue.length) value = this.currentAttrValue.join("");
     this.currentAttrValue.length = 0;
 
-    if (this.currentAttrValueHasAmp) value = decodeEntitiesInText(value, { inAttribute: true });
+    if (this.currentAttrValueHasAmp) {
+      const onError = this._referenceErrorHandler(this.currentAttrAmpOffset, this.currentAttrAmpIndex);
+      value = decodeEntitiesInText(value, { inAttribute: true, onError });
+    }
     this.currentAttrValueHasAmp = false;
 
     this.currentTagAttrs[name] = value;
+
+    if (this.trackLocations) {
+      // A closing quote belongs to the attribute; any other terminator does not.
+      const quoted = this.state === Tokenizer.ATTRIBUTE_VALUE_DOUBLE || this.state === Tokenizer.ATTRIBUTE_VALUE_SINGLE;
+      this.currentTagAttrSpans[name] = [this.currentAttrStart, quoted ? this.pos : this.pos - 1];
+    }
   }
 
   _emitCurrentTag() {
@@ -478,6 +695,11 @@ export class Tokenizer {
       }
     }
 
+    this._markToken();
+    if (this.trackLocations) {
+      this.lastAttrSpans = this.currentTagAttrSpans;
+      this.currentTagAttrSpans = {};
+    }
     const result = this.sink.processToken(tag);
     if (result === TokenSinkResult.Plaintext) {
       this.state = Tokenizer.PLAINTEXT;
@@ -525,7 +747,8 @@ export class Tokenizer {
   _consumeIf(literal) {
     const end = this.pos + literal.length;
     if (end > this.length) return false;
-    if (this.buffer.slice(this.pos, end) !== literal) return false;
+    const start = this.pos - this.bufferOffset;
+    if (this.buffer.slice(start, start + literal.length) !== literal) return false;
     this.pos = end;
     return true;
   }
@@ -533,7 +756,8 @@ export class Tokenizer {
   _consumeCaseInsensitive(literal) {
     const end = this.pos + literal.length;
     if (end > this.length) return false;
-    const segment = this.buffer.slice(this.pos, end);
+    const start = this.pos - this.bufferOffset;
+    const segment = this.buffer.slice(start, start + literal.length);
     if (segment.toLowerCase() !== literal.toLowerCase()) return false;
     this.pos = end;
     return true;
@@ -552,11 +776,13 @@ export class Tokenizer {
     }
 
     if (c === "<") {
+      this.tokenStart = this.pos - 1;
       this._flushText();
       this.state = Tokenizer.TAG_OPEN;
       return false;
     }
 
+    if (c === "\0") this._emitError("unexpected-null-character");
     this._appendText(c);
     return false;
   }
@@ -763,6 +989,7 @@ export class Tokenizer {
       return false;
     }
 
+    if (c === '"' || c === "'" || c === "<") this._emitError("unexpected-character-in-attribute-name");
     this.currentAttrName.push(asciiLower(c));
     return false;
   }
@@ -847,7 +1074,7 @@ export class Tokenizer {
       return false;
     }
 
-    if (c === "&") this.currentAttrValueHasAmp = true;
+    if (c === "&") this._noteAttrAmpersand();
     if (c === "\0") {
       this._emitError("unexpected-null-character");
       this.currentAttrValue.push("\ufffd");
@@ -872,7 +1099,7 @@ export class Tokenizer {
       return false;
     }
 
-    if (c === "&") this.currentAttrValueHasAmp = true;
+    if (c === "&") this._noteAttrAmpersand();
     if (c === "\0") {
       this._emitError("unexpected-null-character");
       this.currentAttrValue.push("\ufffd");
@@ -897,7 +1124,7 @@ export class Tokenizer {
       return false;
     }
 
-    if (c === "&") this.currentAttrValueHasAmp = true;
+    if (c === "&") this._noteAttrAmpersand();
 
     if (c === ">") {
       this._finishAttribute();
@@ -910,6 +1137,9 @@ export class Tokenizer {
       this.currentAttrValue.push("\ufffd");
       return false;
     }
+    if (c === '"' || c === "'" || c === "<" || c === "=" || c === "`") {
+      this._emitError("unexpected-character-in-unquoted-attribute-value");
+    }
     this.currentAttrValue.push(c);
     return false;
   }
@@ -954,12 +1184,13 @@ export class Tokenizer {
     }
 
     if (c === ">") {
+      if (this.currentTagKind === Tag.END) this._emitError("end-tag-with-trailing-solidus");
       this.currentTagSelfClosing = true;
       if (!this._emitCurrentTag()) this.state = Tokenizer.DATA;
       return false;
     }
 
-    this._emitError("unexpected-character-after-solidus-in-tag");
+    this._emitError("unexpected-solidus-in-tag");
     this._reconsumeCurrent();
     this.state = Tokenizer.BEFORE_ATTRIBUTE_NAME;
     return false;
@@ -1002,7 +1233,7 @@ export class Tokenizer {
       return false;
     }
 
-    this._emitError("incorrectly-opened-comment");
+    this._emitError("incorrectly-opened-comment", this.pos);
     this.currentComment.length = 0;
     this.state = Tokenizer.BOGUS_COMMENT;
     return false;
@@ -1140,6 +1371,11 @@ export class Tokenizer {
       return false;
     }
 
+    // The comment data so far ends in "<!", so this closes a "<!--" that opened inside the comment.
+    const comment = this.currentComment;
+    const n = comment.length;
+    if (n >= 2 && comment[n - 2] === "<" && comment[n - 1] === "!") this._emitError("nested-comment");
+
     if (c === "!") {
       this.state = Tokenizer.COMMENT_END_BANG;
       return false;
@@ -1157,7 +1393,6 @@ export class Tokenizer {
       return false;
     }
 
-    this._emitError("incorrectly-closed-comment");
     this.currentComment.push("-", "-", c);
     this.state = Tokenizer.COMMENT;
     return false;
@@ -1213,8 +1448,12 @@ export class Tokenizer {
       return false;
     }
 
-    if (c === "\0") this.currentComment.push(replacement);
-    else this.currentComment.push(c);
+    if (c === "\0") {
+      this._emitError("unexpected-null-character");
+      this.currentComment.push(replacement);
+    } else {
+      this.currentComment.push(c);
+    }
     return false;
   }
 
@@ -1249,67 +1488,62 @@ export class Tokenizer {
 
   _stateBeforeDoctypeName() {
     // Skip whitespace
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const c = this._getChar();
-      if (c == null) {
-        this._emitError("eof-in-doctype-name");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this._emitToken(new EOFToken());
-        return true;
-      }
-      if (c === "\t" || c === "\n" || c === "\f" || c === " ") continue;
-      if (c === ">") {
-        this._emitError("expected-doctype-name-but-got-right-bracket");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this.state = Tokenizer.DATA;
-        return false;
-      }
-      if (c >= "A" && c <= "Z") this.currentDoctypeName.push(String.fromCharCode(c.charCodeAt(0) + 32));
-      else if (c === "\0") {
-        this._emitError("unexpected-null-character");
-        this.currentDoctypeName.push("\ufffd");
-      } else {
-        this.currentDoctypeName.push(c);
-      }
-      this.state = Tokenizer.DOCTYPE_NAME;
+    const c = this._getChar();
+    if (c == null) {
+      this._emitError("eof-in-doctype-name");
+      this.currentDoctypeForceQuirks = true;
+      this._emitDoctype();
+      this._emitToken(new EOFToken());
+      return true;
+    }
+    if (c === "\t" || c === "\n" || c === "\f" || c === " ") return false;
+    if (c === ">") {
+      this._emitError("expected-doctype-name-but-got-right-bracket");
+      this.currentDoctypeForceQuirks = true;
+      this._emitDoctype();
+      this.state = Tokenizer.DATA;
       return false;
     }
+    if (c >= "A" && c <= "Z") this.currentDoctypeName.push(String.fromCharCode(c.charCodeAt(0) + 32));
+    else if (c === "\0") {
+      this._emitError("unexpected-null-character");
+      this.currentDoctypeName.push("\ufffd");
+    } else {
+      this.currentDoctypeName.push(c);
+    }
+    this.state = Tokenizer.DOCTYPE_NAME;
+    return false;
   }
 
   _stateDoctypeName() {
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const c = this._getChar();
-      if (c == null) {
-        this._emitError("eof-in-doctype-name");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this._emitToken(new EOFToken());
-        return true;
-      }
-      if (c === "\t" || c === "\n" || c === "\f" || c === " ") {
-        this.state = Tokenizer.AFTER_DOCTYPE_NAME;
-        return false;
-      }
-      if (c === ">") {
-        this._emitDoctype();
-        this.state = Tokenizer.DATA;
-        return false;
-      }
-      if (c >= "A" && c <= "Z") {
-        this.currentDoctypeName.push(String.fromCharCode(c.charCodeAt(0) + 32));
-        continue;
-      }
-      if (c === "\0") {
-        this._emitError("unexpected-null-character");
-        this.currentDoctypeName.push("\ufffd");
-        continue;
-      }
-      this.currentDoctypeName.push(c);
+    const c = this._getChar();
+    if (c == null) {
+      this._emitError("eof-in-doctype-name");
+      this.currentDoctypeForceQuirks = true;
+      this._emitDoctype();
+      this._emitToken(new EOFToken());
+      return true;
+    }
+    if (c === "\t" || c === "\n" || c === "\f" || c === " ") {
+      this.state = Tokenizer.AFTER_DOCTYPE_NAME;
+      return false;
+    }
+    if (c === ">") {
+      this._emitDoctype();
+      this.state = Tokenizer.DATA;
+      return false;
+    }
+    if (c >= "A" && c <= "Z") {
+      this.currentDoctypeName.push(String.fromCharCode(c.charCodeAt(0) + 32));
+      return false;
+    }
+    if (c === "\0") {
+      this._emitError("unexpected-null-character");
+      this.currentDoctypeName.push("\ufffd");
+      return false;
     }
+    this.currentDoctypeName.push(c);
+    return false;
   }
 
   _stateAfterDoctypeName() {
@@ -1321,445 +1555,409 @@ export class Tokenizer {
       this.state = Tokenizer.AFTER_DOCTYPE_SYSTEM_KEYWORD;
       return false;
     }
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const c = this._getChar();
-      if (c == null) {
-        this._emitError("eof-in-doctype");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this._emitToken(new EOFToken());
-        return true;
-      }
-      if (c === "\t" || c === "\n" || c === "\f" || c === " ") continue;
-      if (c === ">") {
-        this._emitDoctype();
-        this.state = Tokenizer.DATA;
-        return false;
-      }
-      this._emitError("missing-whitespace-after-doctype-name");
+    const c = this._getChar();
+    if (c == null) {
+      this._emitError("eof-in-doctype");
       this.currentDoctypeForceQuirks = true;
-      this._reconsumeCurrent();
-      this.state = Tokenizer.BOGUS_DOCTYPE;
+      this._emitDoctype();
+      this._emitToken(new EOFToken());
+      return true;
+    }
+    if (c === "\t" || c === "\n" || c === "\f" || c === " ") return false;
+    if (c === ">") {
+      this._emitDoctype();
+      this.state = Tokenizer.DATA;
       return false;
     }
+    this._emitError("invalid-character-sequence-after-doctype-name");
+    this.currentDoctypeForceQuirks = true;
+    this._reconsumeCurrent();
+    this.state = Tokenizer.BOGUS_DOCTYPE;
+    return false;
   }
 
   _stateAfterDoctypePublicKeyword() {
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const c = this._getChar();
-      if (c == null) {
-        this._emitError("missing-quote-before-doctype-public-identifier");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this._emitToken(new EOFToken());
-        return true;
-      }
-      if (c === "\t" || c === "\n" || c === "\f" || c === " ") {
-        this.state = Tokenizer.BEFORE_DOCTYPE_PUBLIC_IDENTIFIER;
-        return false;
-      }
-      if (c === '"') {
-        this._emitError("missing-whitespace-before-doctype-public-identifier");
-        this.currentDoctypePublic = [];
-        this.state = Tokenizer.DOCTYPE_PUBLIC_IDENTIFIER_DOUBLE_QUOTED;
-        return false;
-      }
-      if (c === "'") {
-        this._emitError("missing-whitespace-before-doctype-public-identifier");
-        this.currentDoctypePublic = [];
-        this.state = Tokenizer.DOCTYPE_PUBLIC_IDENTIFIER_SINGLE_QUOTED;
-        return false;
-      }
-      if (c === ">") {
-        this._emitError("missing-doctype-public-identifier");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this.state = Tokenizer.DATA;
-        return false;
-      }
-      this._emitError("unexpected-character-after-doctype-public-keyword");
+    const c = this._getChar();
+    if (c == null) {
+      this._emitError("missing-quote-before-doctype-public-identifier");
       this.currentDoctypeForceQuirks = true;
-      this._reconsumeCurrent();
-      this.state = Tokenizer.BOGUS_DOCTYPE;
+      this._emitDoctype();
+      this._emitToken(new EOFToken());
+      return true;
+    }
+    if (c === "\t" || c === "\n" || c === "\f" || c === " ") {
+      this.state = Tokenizer.BEFORE_DOCTYPE_PUBLIC_IDENTIFIER;
+      return false;
+    }
+    if (c === '"') {
+      this._emitError("missing-whitespace-before-doctype-public-identifier");
+      this.currentDoctypePublic = [];
+      this.state = Tokenizer.DOCTYPE_PUBLIC_IDENTIFIER_DOUBLE_QUOTED;
+      return false;
+    }
+    if (c === "'") {
+      this._emitError("missing-whitespace-before-doctype-public-identifier");
+      this.currentDoctypePublic = [];
+      this.state = Tokenizer.DOCTYPE_PUBLIC_IDENTIFIER_SINGLE_QUOTED;
+      return false;
+    }
+    if (c === ">") {
+      this._emitError("missing-doctype-public-identifier");
+      this.currentDoctypeForceQuirks = true;
+      this._emitDoctype();
+      this.state = Tokenizer.DATA;
       return false;
     }
+    this._emitError("unexpected-character-after-doctype-public-keyword");
+    this.currentDoctypeForceQuirks = true;
+    this._reconsumeCurrent();
+    this.state = Tokenizer.BOGUS_DOCTYPE;
+    return false;
   }
 
   _stateAfterDoctypeSystemKeyword() {
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const c = this._getChar();
-      if (c == null) {
-        this._emitError("missing-quote-before-doctype-system-identifier");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this._emitToken(new EOFToken());
-        return true;
-      }
-      if (c === "\t" || c === "\n" || c === "\f" || c === " ") {
-        this.state = Tokenizer.BEFORE_DOCTYPE_SYSTEM_IDENTIFIER;
-        return false;
-      }
-      if (c === '"') {
-        this._emitError("missing-whitespace-after-doctype-public-identifier");
-        this.currentDoctypeSystem = [];
-        this.state = Tokenizer.DOCTYPE_SYSTEM_IDENTIFIER_DOUBLE_QUOTED;
-        return false;
-      }
-      if (c === "'") {
-        this._emitError("missing-whitespace-after-doctype-public-identifier");
-        this.currentDoctypeSystem = [];
-        this.state = Tokenizer.DOCTYPE_SYSTEM_IDENTIFIER_SINGLE_QUOTED;
-        return false;
-      }
-      if (c === ">") {
-        this._emitError("missing-doctype-system-identifier");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this.state = Tokenizer.DATA;
-        return false;
-      }
-      this._emitError("unexpected-character-after-doctype-system-keyword");
+    const c = this._getChar();
+    if (c == null) {
+      this._emitError("missing-quote-before-doctype-system-identifier");
       this.currentDoctypeForceQuirks = true;
-      this._reconsumeCurrent();
-      this.state = Tokenizer.BOGUS_DOCTYPE;
+      this._emitDoctype();
+      this._emitToken(new EOFToken());
+      return true;
+    }
+    if (c === "\t" || c === "\n" || c === "\f" || c === " ") {
+      this.state = Tokenizer.BEFORE_DOCTYPE_SYSTEM_IDENTIFIER;
+      return false;
+    }
+    if (c === '"') {
+      this._emitError("missing-whitespace-after-doctype-public-identifier");
+      this.currentDoctypeSystem = [];
+      this.state = Tokenizer.DOCTYPE_SYSTEM_IDENTIFIER_DOUBLE_QUOTED;
+      return false;
+    }
+    if (c === "'") {
+      this._emitError("missing-whitespace-after-doctype-public-identifier");
+      this.currentDoctypeSystem = [];
+      this.state = Tokenizer.DOCTYPE_SYSTEM_IDENTIFIER_SINGLE_QUOTED;
+      return false;
+    }
+    if (c === ">") {
+      this._emitError("missing-doctype-system-identifier");
+      this.currentDoctypeForceQuirks = true;
+      this._emitDoctype();
+      this.state = Tokenizer.DATA;
       return false;
     }
+    this._emitError("unexpected-character-after-doctype-system-keyword");
+    this.currentDoctypeForceQuirks = true;
+    this._reconsumeCurrent();
+    this.state = Tokenizer.BOGUS_DOCTYPE;
+    return false;
   }
 
   _stateBeforeDoctypePublicIdentifier() {
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const c = this._getChar();
-      if (c == null) {
-        this._emitError("missing-doctype-public-identifier");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this._emitToken(new EOFToken());
-        return true;
-      }
-      if (c === "\t" || c === "\n" || c === "\f" || c === " ") continue;
-      if (c === '"') {
-        this.currentDoctypePublic = [];
-        this.state = Tokenizer.DOCTYPE_PUBLIC_IDENTIFIER_DOUBLE_QUOTED;
-        return false;
-      }
-      if (c === "'") {
-        this.currentDoctypePublic = [];
-        this.state = Tokenizer.DOCTYPE_PUBLIC_IDENTIFIER_SINGLE_QUOTED;
-        return false;
-      }
-      if (c === ">") {
-        this._emitError("missing-doctype-public-identifier");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this.state = Tokenizer.DATA;
-        return false;
-      }
-      this._emitError("missing-quote-before-doctype-public-identifier");
+    const c = this._getChar();
+    if (c == null) {
+      this._emitError("missing-doctype-public-identifier");
       this.currentDoctypeForceQuirks = true;
-      this._reconsumeCurrent();
-      this.state = Tokenizer.BOGUS_DOCTYPE;
+      this._emitDoctype();
+      this._emitToken(new EOFToken());
+      return true;
+    }
+    if (c === "\t" || c === "\n" || c === "\f" || c === " ") return false;
+    if (c === '"') {
+      this.currentDoctypePublic = [];
+      this.state = Tokenizer.DOCTYPE_PUBLIC_IDENTIFIER_DOUBLE_QUOTED;
+      return false;
+    }
+    if (c === "'") {
+      this.currentDoctypePublic = [];
+      this.state = Tokenizer.DOCTYPE_PUBLIC_IDENTIFIER_SINGLE_QUOTED;
+      return false;
+    }
+    if (c === ">") {
+      this._emitError("missing-doctype-public-identifier");
+      this.currentDoctypeForceQuirks = true;
+      this._emitDoctype();
+      this.state = Tokenizer.DATA;
       return false;
     }
+    this._emitError("missing-quote-before-doctype-public-identifier");
+    this.currentDoctypeForceQuirks = true;
+    this._reconsumeCurrent();
+    this.state = Tokenizer.BOGUS_DOCTYPE;
+    return false;
   }
 
   _stateDoctypePublicIdentifierDoubleQuoted() {
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const c = this._getChar();
-      if (c == null) {
-        this._emitError("eof-in-doctype-public-identifier");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this._emitToken(new EOFToken());
-        return true;
-      }
-      if (c === '"') {
-        this.state = Tokenizer.AFTER_DOCTYPE_PUBLIC_IDENTIFIER;
-        return false;
-      }
-      if (c === "\0") {
-        this._emitError("unexpected-null-character");
-        this.currentDoctypePublic.push("\ufffd");
-        continue;
-      }
-      if (c === ">") {
-        this._emitError("abrupt-doctype-public-identifier");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this.state = Tokenizer.DATA;
-        return false;
-      }
-      this.currentDoctypePublic.push(c);
-    }
+    const c = this._getChar();
+    if (c == null) {
+      this._emitError("eof-in-doctype-public-identifier");
+      this.currentDoctypeForceQuirks = true;
+      this._emitDoctype();
+      this._emitToken(new EOFToken());
+      return true;
+    }
+    if (c === '"') {
+      this.state = Tokenizer.AFTER_DOCTYPE_PUBLIC_IDENTIFIER;
+      return false;
+    }
+    if (c === "\0") {
+      this._emitError("unexpected-null-character");
+      this.currentDoctypePublic.push("\ufffd");
+      return false;
+    }
+    if (c === ">") {
+      this._emitError("abrupt-doctype-public-identifier");
+      this.currentDoctypeForceQuirks = true;
+      this._emitDoctype();
+      this.state = Tokenizer.DATA;
+      return false;
+    }
+    this.currentDoctypePublic.push(c);
+    return false;
   }
 
   _stateDoctypePublicIdentifierSingleQuoted() {
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const c = this._getChar();
-      if (c == null) {
-        this._emitError("eof-in-doctype-public-identifier");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this._emitToken(new EOFToken());
-        return true;
-      }
-      if (c === "'") {
-        this.state = Tokenizer.AFTER_DOCTYPE_PUBLIC_IDENTIFIER;
-        return false;
-      }
-      if (c === "\0") {
-        this._emitError("unexpected-null-character");
-        this.currentDoctypePublic.push("\ufffd");
-        continue;
-      }
-      if (c === ">") {
-        this._emitError("abrupt-doctype-public-identifier");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this.state = Tokenizer.DATA;
-        return false;
-      }
-      this.currentDoctypePublic.push(c);
+    const c = this._getChar();
+    if (c == null) {
+      this._emitError("eof-in-doctype-public-identifier");
+      this.currentDoctypeForceQuirks = true;
+      this._emitDoctype();
+      this._emitToken(new EOFToken());
+      return true;
+    }
+    if (c === "'") {
+      this.state = Tokenizer.AFTER_DOCTYPE_PUBLIC_IDENTIFIER;
+      return false;
     }
+    if (c === "\0") {
+      this._emitError("unexpected-null-character");
+      this.currentDoctypePublic.push("\ufffd");
+      return false;
+    }
+    if (c === ">") {
+      this._emitError("abrupt-doctype-public-identifier");
+      this.currentDoctypeForceQuirks = true;
+      this._emitDoctype();
+      this.state = Tokenizer.DATA;
+      return false;
+    }
+    this.currentDoctypePublic.push(c);
+    return false;
   }
 
   _stateAfterDoctypePublicIdentifier() {
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const c = this._getChar();
-      if (c == null) {
-        this._emitError("missing-whitespace-between-doctype-public-and-system-identifiers");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this._emitToken(new EOFToken());
-        return true;
-      }
-      if (c === "\t" || c === "\n" || c === "\f" || c === " ") {
-        this.state = Tokenizer.BETWEEN_DOCTYPE_PUBLIC_AND_SYSTEM_IDENTIFIERS;
-        return false;
-      }
-      if (c === ">") {
-        this._emitDoctype();
-        this.state = Tokenizer.DATA;
-        return false;
-      }
-      if (c === '"') {
-        this._emitError("missing-whitespace-between-doctype-public-and-system-identifiers");
-        this.currentDoctypeSystem = [];
-        this.state = Tokenizer.DOCTYPE_SYSTEM_IDENTIFIER_DOUBLE_QUOTED;
-        return false;
-      }
-      if (c === "'") {
-        this._emitError("missing-whitespace-between-doctype-public-and-system-identifiers");
-        this.currentDoctypeSystem = [];
-        this.state = Tokenizer.DOCTYPE_SYSTEM_IDENTIFIER_SINGLE_QUOTED;
-        return false;
-      }
-      this._emitError("unexpected-character-after-doctype-public-identifier");
+    const c = this._getChar();
+    if (c == null) {
+      this._emitError("missing-whitespace-between-doctype-public-and-system-identifiers");
       this.currentDoctypeForceQuirks = true;
-      this._reconsumeCurrent();
-      this.state = Tokenizer.BOGUS_DOCTYPE;
+      this._emitDoctype();
+      this._emitToken(new EOFToken());
+      return true;
+    }
+    if (c === "\t" || c === "\n" || c === "\f" || c === " ") {
+      this.state = Tokenizer.BETWEEN_DOCTYPE_PUBLIC_AND_SYSTEM_IDENTIFIERS;
+      return false;
+    }
+    if (c === ">") {
+      this._emitDoctype();
+      this.state = Tokenizer.DATA;
+      return false;
+    }
+    if (c === '"') {
+      this._emitError("missing-whitespace-between-doctype-public-and-system-identifiers");
+      this.currentDoctypeSystem = [];
+      this.state = Tokenizer.DOCTYPE_SYSTEM_IDENTIFIER_DOUBLE_QUOTED;
       return false;
     }
+    if (c === "'") {
+      this._emitError("missing-whitespace-between-doctype-public-and-system-identifiers");
+      this.currentDoctypeSystem = [];
+      this.state = Tokenizer.DOCTYPE_SYSTEM_IDENTIFIER_SINGLE_QUOTED;
+      return false;
+    }
+    this._emitError("unexpected-character-after-doctype-public-identifier");
+    this.currentDoctypeForceQuirks = true;
+    this._reconsumeCurrent();
+    this.state = Tokenizer.BOGUS_DOCTYPE;
+    return false;
   }
 
   _stateBetweenDoctypePublicAndSystemIdentifiers() {
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const c = this._getChar();
-      if (c == null) {
-        this._emitError("missing-quote-before-doctype-system-identifier");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this._emitToken(new EOFToken());
-        return true;
-      }
-      if (c === "\t" || c === "\n" || c === "\f" || c === " ") continue;
-      if (c === ">") {
-        this._emitDoctype();
-        this.state = Tokenizer.DATA;
-        return false;
-      }
-      if (c === '"') {
-        this.currentDoctypeSystem = [];
-        this.state = Tokenizer.DOCTYPE_SYSTEM_IDENTIFIER_DOUBLE_QUOTED;
-        return false;
-      }
-      if (c === "'") {
-        this.currentDoctypeSystem = [];
-        this.state = Tokenizer.DOCTYPE_SYSTEM_IDENTIFIER_SINGLE_QUOTED;
-        return false;
-      }
+    const c = this._getChar();
+    if (c == null) {
       this._emitError("missing-quote-before-doctype-system-identifier");
       this.currentDoctypeForceQuirks = true;
-      this._reconsumeCurrent();
-      this.state = Tokenizer.BOGUS_DOCTYPE;
+      this._emitDoctype();
+      this._emitToken(new EOFToken());
+      return true;
+    }
+    if (c === "\t" || c === "\n" || c === "\f" || c === " ") return false;
+    if (c === ">") {
+      this._emitDoctype();
+      this.state = Tokenizer.DATA;
+      return false;
+    }
+    if (c === '"') {
+      this.currentDoctypeSystem = [];
+      this.state = Tokenizer.DOCTYPE_SYSTEM_IDENTIFIER_DOUBLE_QUOTED;
       return false;
     }
+    if (c === "'") {
+      this.currentDoctypeSystem = [];
+      this.state = Tokenizer.DOCTYPE_SYSTEM_IDENTIFIER_SINGLE_QUOTED;
+      return false;
+    }
+    this._emitError("missing-quote-before-doctype-system-identifier");
+    this.currentDoctypeForceQuirks = true;
+    this._reconsumeCurrent();
+    this.state = Tokenizer.BOGUS_DOCTYPE;
+    return false;
   }
 
   _stateBeforeDoctypeSystemIdentifier() {
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const c = this._getChar();
-      if (c == null) {
-        this._emitError("missing-doctype-system-identifier");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this._emitToken(new EOFToken());
-        return true;
-      }
-      if (c === "\t" || c === "\n" || c === "\f" || c === " ") continue;
-      if (c === '"') {
-        this.currentDoctypeSystem = [];
-        this.state = Tokenizer.DOCTYPE_SYSTEM_IDENTIFIER_DOUBLE_QUOTED;
-        return false;
-      }
-      if (c === "'") {
-        this.currentDoctypeSystem = [];
-        this.state = Tokenizer.DOCTYPE_SYSTEM_IDENTIFIER_SINGLE_QUOTED;
-        return false;
-      }
-      if (c === ">") {
-        this._emitError("missing-doctype-system-identifier");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this.state = Tokenizer.DATA;
-        return false;
-      }
-      this._emitError("missing-quote-before-doctype-system-identifier");
+    const c = this._getChar();
+    if (c == null) {
+      this._emitError("missing-doctype-system-identifier");
       this.currentDoctypeForceQuirks = true;
-      this._reconsumeCurrent();
-      this.state = Tokenizer.BOGUS_DOCTYPE;
+      this._emitDoctype();
+      this._emitToken(new EOFToken());
+      return true;
+    }
+    if (c === "\t" || c === "\n" || c === "\f" || c === " ") return false;
+    if (c === '"') {
+      this.currentDoctypeSystem = [];
+      this.state = Tokenizer.DOCTYPE_SYSTEM_IDENTIFIER_DOUBLE_QUOTED;
+      return false;
+    }
+    if (c === "'") {
+      this.currentDoctypeSystem = [];
+      this.state = Tokenizer.DOCTYPE_SYSTEM_IDENTIFIER_SINGLE_QUOTED;
+      return false;
+    }
+    if (c === ">") {
+      this._emitError("missing-doctype-system-identifier");
+      this.currentDoctypeForceQuirks = true;
+      this._emitDoctype();
+      this.state = Tokenizer.DATA;
       return false;
     }
+    this._emitError("missing-quote-before-doctype-system-identifier");
+    this.currentDoctypeForceQuirks = true;
+    this._reconsumeCurrent();
+    this.state = Tokenizer.BOGUS_DOCTYPE;
+    return false;
   }
 
   _stateDoctypeSystemIdentifierDoubleQuoted() {
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const c = this._getChar();
-      if (c == null) {
-        this._emitError("eof-in-doctype-system-identifier");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this._emitToken(new EOFToken());
-        return true;
-      }
-      if (c === '"') {
-        this.state = Tokenizer.AFTER_DOCTYPE_SYSTEM_IDENTIFIER;
-        return false;
-      }
-      if (c === "\0") {
-        this._emitError("unexpected-null-character");
-        this.currentDoctypeSystem.push("\ufffd");
-        continue;
-      }
-      if (c === ">") {
-        this._emitError("abrupt-doctype-system-identifier");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this.state = Tokenizer.DATA;
-        return false;
-      }
-      this.currentDoctypeSystem.push(c);
+    const c = this._getChar();
+    if (c == null) {
+      this._emitError("eof-in-doctype-system-identifier");
+      this.currentDoctypeForceQuirks = true;
+      this._emitDoctype();
+      this._emitToken(new EOFToken());
+      return true;
+    }
+    if (c === '"') {
+      this.state = Tokenizer.AFTER_DOCTYPE_SYSTEM_IDENTIFIER;
+      return false;
+    }
+    if (c === "\0") {
+      this._emitError("unexpected-null-character");
+      this.currentDoctypeSystem.push("\ufffd");
+      return false;
     }
+    if (c === ">") {
+      this._emitError("abrupt-doctype-system-identifier");
+      this.currentDoctypeForceQuirks = true;
+      this._emitDoctype();
+      this.state = Tokenizer.DATA;
+      return false;
+    }
+    this.currentDoctypeSystem.push(c);
+    return false;
   }
 
   _stateDoctypeSystemIdentifierSingleQuoted() {
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const c = this._getChar();
-      if (c == null) {
-        this._emitError("eof-in-doctype-system-identifier");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this._emitToken(new EOFToken());
-        return true;
-      }
-      if (c === "'") {
-        this.state = Tokenizer.AFTER_DOCTYPE_SYSTEM_IDENTIFIER;
-        return false;
-      }
-      if (c === "\0") {
-        this._emitError("unexpected-null-character");
-        this.currentDoctypeSystem.push("\ufffd");
-        continue;
-      }
-      if (c === ">") {
-        this._emitError("abrupt-doctype-system-identifier");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this.state = Tokenizer.DATA;
-        return false;
-      }
-      this.currentDoctypeSystem.push(c);
+    const c = this._getChar();
+    if (c == null) {
+      this._emitError("eof-in-doctype-system-identifier");
+      this.currentDoctypeForceQuirks = true;
+      this._emitDoctype();
+      this._emitToken(new EOFToken());
+      return true;
+    }
+    if (c === "'") {
+      this.state = Tokenizer.AFTER_DOCTYPE_SYSTEM_IDENTIFIER;
+      return false;
     }
+    if (c === "\0") {
+      this._emitError("unexpected-null-character");
+      this.currentDoctypeSystem.push("\ufffd");
+      return false;
+    }
+    if (c === ">") {
+      this._emitError("abrupt-doctype-system-identifier");
+      this.currentDoctypeForceQuirks = true;
+      this._emitDoctype();
+      this.state = Tokenizer.DATA;
+      return false;
+    }
+    this.currentDoctypeSystem.push(c);
+    return false;
   }
 
   _stateAfterDoctypeSystemIdentifier() {
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const c = this._getChar();
-      if (c == null) {
-        this._emitError("eof-in-doctype");
-        this.currentDoctypeForceQuirks = true;
-        this._emitDoctype();
-        this._emitToken(new EOFToken());
-        return true;
-      }
-      if (c === "\t" || c === "\n" || c === "\f" || c === " ") continue;
-      if (c === ">") {
-        this._emitDoctype();
-        this.state = Tokenizer.DATA;
-        return false;
-      }
-      this._emitError("unexpected-character-after-doctype-system-identifier");
-      this._reconsumeCurrent();
-      this.state = Tokenizer.BOGUS_DOCTYPE;
+    const c = this._getChar();
+    if (c == null) {
+      this._emitError("eof-in-doctype");
+      this.currentDoctypeForceQuirks = true;
+      this._emitDoctype();
+      this._emitToken(new EOFToken());
+      return true;
+    }
+    if (c === "\t" || c === "\n" || c === "\f" || c === " ") return false;
+    if (c === ">") {
+      this._emitDoctype();
+      this.state = Tokenizer.DATA;
       return false;
     }
+    this._emitError("unexpected-character-after-doctype-system-identifier");
+    this._reconsumeCurrent();
+    this.state = Tokenizer.BOGUS_DOCTYPE;
+    return false;
   }
 
   _stateBogusDoctype() {
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const c = this._getChar();
-      if (c == null) {
-        this._emitDoctype();
-        this._emitToken(new EOFToken());
-        return true;
-      }
-      if (c === ">") {
-        this._emitDoctype();
-        this.state = Tokenizer.DATA;
-        return false;
-      }
+    const c = this._getChar();
+    if (c == null) {
+      this._emitDoctype();
+      this._emitToken(new EOFToken());
+      return true;
     }
+    if (c === ">") {
+      this._emitDoctype();
+      this.state = Tokenizer.DATA;
+      return false;
+    }
+    return false;
   }
 
   _stateCdataSection() {
     // Consume characters until we see ']'.
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const c = this._getChar();
-      if (c == null) {
-        this._emitError("eof-in-cdata");
-        this._flushText();
-        this._emitToken(new EOFToken());
-        return true;
-      }
-      if (c === "]") {
-        this.state = Tokenizer.CDATA_SECTION_BRACKET;
-        return false;
-      }
-      this._appendText(c);
+    const c = this._getChar();
+    if (c == null) {
+      this._emitError("eof-in-cdata");
+      this._flushText();
+      this._emitToken(new EOFToken());
+      return true;
+    }
+    if (c === "]") {
+      this.state = Tokenizer.CDATA_SECTION_BRACKET;
+      return false;
     }
+    this._appendText(c);
+    return false;
   }
 
   _stateCdataSectionBracket() {
@@ -1833,6 +2031,7 @@ export class Tokenizer {
   _stateRcdataLessThanSign() {
     const c = this._getChar();
     if (c === "/") {
+      this.tokenStart = this.pos - 2;
       this.currentTagName.length = 0;
       this.originalTagName.length = 0;
       this.state = Tokenizer.RCDATA_END_TAG_OPEN;
@@ -1852,67 +2051,64 @@ export class Tokenizer {
       this.state = Tokenizer.RCDATA_END_TAG_NAME;
       return false;
     }
-    this.textBuffer.push("<", "/");
+    this._appendText("</");
     this._reconsumeCurrent();
     this.state = Tokenizer.RCDATA;
     return false;
   }
 
   _stateRcdataEndTagName() {
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const c = this._getChar();
-      if (c != null && isAsciiAlpha(c)) {
-        this.currentTagName.push(asciiLower(c));
-        this.originalTagName.push(c);
-        continue;
-      }
-
-      const tagName = this.currentTagName.join("");
-      if (tagName === this.rawtextTagName) {
-        if (c === ">") {
-          this._flushText();
-          this._emitToken(new Tag(Tag.END, tagName, {}, false));
-          this.state = Tokenizer.DATA;
-          this.rawtextTagName = null;
-          this.currentTagName.length = 0;
-          this.originalTagName.length = 0;
-          return false;
-        }
-        if (isWhitespace(c)) {
-          this._flushText();
-          this.currentTagKind = Tag.END;
-          this.currentTagAttrs = {};
-          this.state = Tokenizer.BEFORE_ATTRIBUTE_NAME;
-          return false;
-        }
-        if (c === "/") {
-          this._flushText();
-          this.currentTagKind = Tag.END;
-          this.currentTagAttrs = {};
-          this.state = Tokenizer.SELF_CLOSING_START_TAG;
-          return false;
-        }
-      }
+    const c = this._getChar();
+    if (c != null && isAsciiAlpha(c)) {
+      this.currentTagName.push(asciiLower(c));
+      this.originalTagName.push(c);
+      return false;
+    }
 
-      if (c == null) {
-        this.textBuffer.push("<", "/");
-        for (const ch of this.originalTagName) this._appendText(ch);
+    const tagName = this.currentTagName.join("");
+    if (tagName === this.rawtextTagName) {
+      if (c === ">") {
+        this._flushText();
+        this._emitToken(new Tag(Tag.END, tagName, {}, false));
+        this.state = Tokenizer.DATA;
+        this.rawtextTagName = null;
         this.currentTagName.length = 0;
         this.originalTagName.length = 0;
+        return false;
+      }
+      if (isWhitespace(c)) {
         this._flushText();
-        this._emitToken(new EOFToken());
-        return true;
+        this.currentTagKind = Tag.END;
+        this.currentTagAttrs = {};
+        this.state = Tokenizer.BEFORE_ATTRIBUTE_NAME;
+        return false;
+      }
+      if (c === "/") {
+        this._flushText();
+        this.currentTagKind = Tag.END;
+        this.currentTagAttrs = {};
+        this.state = Tokenizer.SELF_CLOSING_START_TAG;
+        return false;
       }
+    }
 
-      this.textBuffer.push("<", "/");
+    if (c == null) {
+      this._appendText("</");
       for (const ch of this.originalTagName) this._appendText(ch);
       this.currentTagName.length = 0;
       this.originalTagName.length = 0;
-      this._reconsumeCurrent();
-      this.state = Tokenizer.RCDATA;
-      return false;
+      this._flushText();
+      this._emitToken(new EOFToken());
+      return true;
     }
+
+    this._appendText("</");
+    for (const ch of this.originalTagName) this._appendText(ch);
+    this.currentTagName.length = 0;
+    this.originalTagName.length = 0;
+    this._reconsumeCurrent();
+    this.state = Tokenizer.RCDATA;
+    return false;
   }
 
   _stateRawtext() {
@@ -1933,10 +2129,10 @@ export class Tokenizer {
         const next2 = this._peekChar(1);
         const next3 = this._peekChar(2);
         if (next1 === "!" && next2 === "-" && next3 === "-") {
-          this.textBuffer.push("<", "!", "-", "-");
           this._getChar();
           this._getChar();
           this._getChar();
+          this._appendText("<!--");
           this.state = Tokenizer.SCRIPT_DATA_ESCAPED;
           return false;
         }
@@ -1951,6 +2147,7 @@ export class Tokenizer {
   _stateRawtextLessThanSign() {
     const c = this._getChar();
     if (c === "/") {
+      this.tokenStart = this.pos - 2;
       this.currentTagName.length = 0;
       this.originalTagName.length = 0;
       this.state = Tokenizer.RAWTEXT_END_TAG_OPEN;
@@ -1970,72 +2167,70 @@ export class Tokenizer {
       this.state = Tokenizer.RAWTEXT_END_TAG_NAME;
       return false;
     }
-    this.textBuffer.push("<", "/");
+    this._appendText("</");
     this._reconsumeCurrent();
     this.state = Tokenizer.RAWTEXT;
     return false;
   }
 
   _stateRawtextEndTagName() {
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const c = this._getChar();
-      if (c != null && isAsciiAlpha(c)) {
-        this.currentTagName.push(asciiLower(c));
-        this.originalTagName.push(c);
-        continue;
-      }
-
-      const tagName = this.currentTagName.join("");
-      if (tagName === this.rawtextTagName) {
-        if (c === ">") {
-          this._flushText();
-          this._emitToken(new Tag(Tag.END, tagName, {}, false));
-          this.state = Tokenizer.DATA;
-          this.rawtextTagName = null;
-          this.currentTagName.length = 0;
-          this.originalTagName.length = 0;
-          return false;
-        }
-        if (isWhitespace(c)) {
-          this._flushText();
-          this.currentTagKind = Tag.END;
-          this.currentTagAttrs = {};
-          this.state = Tokenizer.BEFORE_ATTRIBUTE_NAME;
-          return false;
-        }
-        if (c === "/") {
-          this._flushText();
-          this.currentTagKind = Tag.END;
-          this.currentTagAttrs = {};
-          this.state = Tokenizer.SELF_CLOSING_START_TAG;
-          return false;
-        }
-      }
+    const c = this._getChar();
+    if (c != null && isAsciiAlpha(c)) {
+      this.currentTagName.push(asciiLower(c));
+      this.originalTagName.push(c);
+      return false;
+    }
 
-      if (c == null) {
-        this.textBuffer.push("<", "/");
-        for (const ch of this.originalTagName) this._appendText(ch);
+    const tagName = this.currentTagName.join("");
+    if (tagName === this.rawtextTagName) {
+      if (c === ">") {
+        this._flushText();
+        this._emitToken(new Tag(Tag.END, tagName, {}, false));
+        this.state = Tokenizer.DATA;
+        this.rawtextTagName = null;
         this.currentTagName.length = 0;
         this.originalTagName.length = 0;
+        return false;
+      }
+      if (isWhitespace(c)) {
+        this._flushText();
+        this.currentTagKind = Tag.END;
+        this.currentTagAttrs = {};
+        this.state = Tokenizer.BEFORE_ATTRIBUTE_NAME;
+        return false;
+      }
+      if (c === "/") {
         this._flushText();
-        this._emitToken(new EOFToken());
-        return true;
+        this.currentTagKind = Tag.END;
+        this.currentTagAttrs = {};
+        this.state = Tokenizer.SELF_CLOSING_START_TAG;
+        return false;
       }
+    }
 
-      this.textBuffer.push("<", "/");
+    if (c == null) {
+      this._appendText("</");
       for (const ch of this.originalTagName) this._appendText(ch);
       this.currentTagName.length = 0;
       this.originalTagName.length = 0;
-      this._reconsumeCurrent();
-      this.state = Tokenizer.RAWTEXT;
-      return false;
+      this._flushText();
+      this._emitToken(new EOFToken());
+      return true;
     }
+
+    this._appendText("</");
+    for (const ch of this.originalTagName) this._appendText(ch);
+    this.currentTagName.length = 0;
+    this.originalTagName.length = 0;
+    this._reconsumeCurrent();
+    this.state = Tokenizer.RAWTEXT;
+    return false;
   }
 
   _stateScriptDataEscaped() {
     const c = this._getChar();
     if (c == null) {
+      this._emitError("eof-in-script-html-comment-like-text");
       this._flushText();
       this._emitToken(new EOFToken());
       return true;
@@ -2061,6 +2256,7 @@ export class Tokenizer {
   _stateScriptDataEscapedDash() {
     const c = this._getChar();
     if (c == null) {
+      this._emitError("eof-in-script-html-comment-like-text");
       this._flushText();
       this._emitToken(new EOFToken());
       return true;
@@ -2088,6 +2284,7 @@ export class Tokenizer {
   _stateScriptDataEscapedDashDash() {
     const c = this._getChar();
     if (c == null) {
+      this._emitError("eof-in-script-html-comment-like-text");
       this._flushText();
       this._emitToken(new EOFToken());
       return true;
@@ -2120,6 +2317,7 @@ export class Tokenizer {
   _stateScriptDataEscapedLessThanSign() {
     const c = this._getChar();
     if (c === "/") {
+      this.tokenStart = this.pos - 2;
       this.tempBuffer.length = 0;
       this.state = Tokenizer.SCRIPT_DATA_ESCAPED_END_TAG_OPEN;
       return false;
@@ -2146,7 +2344,7 @@ export class Tokenizer {
       this.state = Tokenizer.SCRIPT_DATA_ESCAPED_END_TAG_NAME;
       return false;
     }
-    this.textBuffer.push("<", "/");
+    this._appendText("</");
     this._reconsumeCurrent();
     this.state = Tokenizer.SCRIPT_DATA_ESCAPED;
     return false;
@@ -2191,7 +2389,7 @@ export class Tokenizer {
       }
     }
 
-    this.textBuffer.push("<", "/");
+    this._appendText("</");
     for (const ch of this.tempBuffer) this._appendText(ch);
     this.currentTagName.length = 0;
     this.originalTagName.length = 0;
@@ -2223,6 +2421,7 @@ export class Tokenizer {
   _stateScriptDataDoubleEscaped() {
     const c = this._getChar();
     if (c == null) {
+      this._emitError("eof-in-script-html-comment-like-text");
       this._flushText();
       this._emitToken(new EOFToken());
       return true;
@@ -2249,6 +2448,7 @@ export class Tokenizer {
   _stateScriptDataDoubleEscapedDash() {
     const c = this._getChar();
     if (c == null) {
+      this._emitError("eof-in-script-html-comment-like-text");
       this._flushText();
       this._emitToken(new EOFToken());
       return true;
@@ -2277,6 +2477,7 @@ export class Tokenizer {
   _stateScriptDataDoubleEscapedDashDash() {
     const c = this._getChar();
     if (c == null) {
+      this._emitError("eof-in-script-html-comment-like-text");
       this._flushText();
       this._emitToken(new EOFToken());
       return true;
@@ -45,10 +45,12 @@ export class TokenSinkResult {
 }
 
 export class ParseError {
-  constructor(code, { line = null, column = null, message = null } = {}) {
+  constructor(code, { line = null, column = null, endLine = null, endColumn = null, message = null } = {}) {
     this.code = code;
     this.line = line;
     this.column = column;
+    this.endLine = endLine;
+    this.endColumn = endColumn;
     this.message = message || code;
   }
 
@@ -45,6 +45,7 @@ function handleDoctype(self, token) {
   const [parseError, quirksMode] = doctypeErrorAndQuirks(doctype, { iframeSrcdoc: self.iframe_srcdoc });
 
   const node = new Node("!doctype", { data: doctype, namespace: null });
+  self._set_source_location(node);
   self.document.append_child(node);
 
   if (parseError) self._parse_error("unknown-doctype");
@@ -89,7 +90,7 @@ function modeBeforeHtml(self, token) {
 
   if (token instanceof Tag) {
     if (token.kind === Tag.START && token.name === "html") {
-      self._create_root(token.attrs);
+      self._create_root(token.attrs, token);
       self.mode = InsertionMode.BEFORE_HEAD;
       return null;
     }
@@ -573,7 +574,7 @@ function handleBodyStartMath(self, token) {
   self._reconstruct_active_formatting_elements();
   const attrs = self._prepare_foreign_attributes("math", token.attrs);
   const newTag = new Tag(Tag.START, token.name, attrs, token.selfClosing);
-  self._insert_element(newTag, { push: !token.selfClosing, namespace: "math" });
+  self._insert_element(newTag, { push: !token.selfClosing, namespace: "math", source: token });
   return null;
 }
 
@@ -582,7 +583,7 @@ function handleBodyStartSvg(self, token) {
   const adjustedName = self._adjust_svg_tag_name(token.name);
   const attrs = self._prepare_foreign_attributes("svg", token.attrs);
   const newTag = new Tag(Tag.START, adjustedName, attrs, token.selfClosing);
-  self._insert_element(newTag, { push: !token.selfClosing, namespace: "svg" });
+  self._insert_element(newTag, { push: !token.selfClosing, namespace: "svg", source: token });
   return null;
 }
 
@@ -703,7 +704,7 @@ function handleBodyStartImage(self, token) {
   self._parse_error("image-start-tag", token.name);
   const imgToken = new Tag(Tag.START, "img", token.attrs, token.selfClosing);
   self._reconstruct_active_formatting_elements();
-  self._insert_element(imgToken, { push: false });
+  self._insert_element(imgToken, { push: false, source: token });
   self.frameset_ok = false;
   return null;
 }
@@ -1326,7 +1327,12 @@ function modeInTableText(self, token) {
       self._parse_error("invalid-codepoint-in-table-text");
       data = data.replaceAll("\x0c", "");
     }
-    if (data) self.pending_table_text.push(data);
+    if (data) {
+      const span = self._current_token_span();
+      if (!self.pending_table_text.length) self.pending_table_text_span = span;
+      else if (span && self.pending_table_text_span) self.pending_table_text_span[1] = span[1];
+      self.pending_table_text.push(data);
+    }
     return null;
   }
 
@@ -2091,6 +2097,11 @@ function modeInTemplate(self, token) {
 
     if (token.kind === Tag.END && token.name === "template") return modeInHead(self, token);
 
+    if (token.kind === Tag.END) {
+      self._parse_error("unexpected-end-tag", token.name);
+      return null;
+    }
+
     if (SELECT_HEAD_TAGS.has(token.name)) return modeInHead(self, token);
   }
 
@@ -2140,10 +2151,12 @@ const MODE_HANDLERS = [
 ];
 
 export class TreeBuilder {
-  constructor(fragment_context = null, iframe_srcdoc = false, collect_errors = false) {
+  constructor(fragment_context = null, iframe_srcdoc = false, collect_errors = false, track_locations = false) {
     this.fragment_context = fragment_context;
     this.iframe_srcdoc = Boolean(iframe_srcdoc);
     this.collect_errors = Boolean(collect_errors);
+    this.track_locations = Boolean(track_locations);
+    this.current_token = null;
 
     this.errors = [];
     this.tokenizer = null;
@@ -2164,6 +2177,7 @@ export class TreeBuilder {
     this.active_formatting = [];
     this.insert_from_table = false;
     this.pending_table_text = [];
+    this.pending_table_text_span = null;
     this.template_modes = [];
     this.tokenizer_state_override = null;
 
@@ -2194,7 +2208,10 @@ export class TreeBuilder {
       else if ((namespace == null || namespace === "html") && name === "caption") this.mode = InsertionMode.IN_CAPTION;
       else if ((namespace == null || namespace === "html") && name === "colgroup") this.mode = InsertionMode.IN_COLUMN_GROUP;
       else if ((namespace == null || namespace === "html") && name === "table") this.mode = InsertionMode.IN_TABLE;
-      else this.mode = InsertionMode.IN_BODY;
+      else if ((namespace == null || namespace === "html") && name === "template") {
+        this.template_modes.push(InsertionMode.IN_TEMPLATE);
+        this.mode = InsertionMode.IN_TEMPLATE;
+      } else this.mode = InsertionMode.IN_BODY;
 
       this.frameset_ok = false;
     }
@@ -2204,9 +2221,24 @@ export class TreeBuilder {
     this.quirks_mode = mode;
   }
 
-  _parse_error(code, tag_name = null) {
+  _parse_error(code, tag_name = null, span = null) {
     if (!this.collect_errors) return;
-    this.errors.push(new ParseError(code, { message: tag_name ? `${code}: ${tag_name}` : code }));
+    const message = tag_name ? `${code}: ${tag_name}` : code;
+
+    // Default to the source span of the token currently being processed.
+    const [start, end] = span || this._current_token_span() || [];
+    if (start == null) {
+      this.errors.push(new ParseError(code, { message }));
+      return;
+    }
+    const [line, column] = this.tokenizer.positionAt(start);
+    const [endLine, endColumn] = this.tokenizer.positionAt(end);
+    this.errors.push(new ParseError(code, { line, column, endLine, endColumn, message }));
+  }
+
+  _current_token_span() {
+    if (!this.tokenizer) return null;
+    return [this.tokenizer.lastTokenStart, this.tokenizer.lastTokenEnd];
   }
 
   _has_element_in_scope(target, terminators = null, checkIntegrationPoints = true) {
@@ -2360,6 +2392,19 @@ export class TreeBuilder {
   }
 
   processToken(token) {
+    if (!this.track_locations) return this._process_token(token);
+
+    const before = this.open_elements.slice();
+    this.current_token = token;
+    try {
+      return this._process_token(token);
+    } finally {
+      this.current_token = null;
+      this._record_closed_elements(before, token);
+    }
+  }
+
+  _process_token(token) {
     if (token instanceof DoctypeToken) {
       if (this.open_elements.length) {
         const current = this.open_elements[this.open_elements.length - 1];
@@ -2484,24 +2529,94 @@ export class TreeBuilder {
       this.document.remove_child(root);
     }
 
+    if (this.track_locations && this.tokenizer) {
+      for (const node of this.open_elements) this._set_location_end(node, this.tokenizer.length);
+    }
+
     this._populate_selectedcontent(this.document);
     return this.document;
   }
 
+  // ---------------- Source locations ----------------
+
+  _source_span(start, end) {
+    const [startLine, startColumn] = this.tokenizer.positionAt(start);
+    const [endLine, endColumn] = this.tokenizer.positionAt(end);
+    return { startOffset: start, endOffset: end, startLine, startColumn, endLine, endColumn };
+  }
+
+  _set_source_location(node, span = null) {
+    if (!this.track_locations || !this.tokenizer) return;
+    const [start, end] = span || this._current_token_span();
+    node.sourceCodeLocation = this._source_span(start, end);
+  }
+
+  _extend_text_location(node, span = null) {
+    if (!this.track_locations || !node.sourceCodeLocation) return;
+    const [, end] = span || this._current_token_span();
+    if (end > node.sourceCodeLocation.endOffset) this._set_location_end(node, end);
+  }
+
+  _set_element_location(node) {
+    const tokenizer = this.tokenizer;
+    if (!tokenizer) return;
+    const startTag = this._source_span(tokenizer.lastTokenStart, tokenizer.lastTokenEnd);
+    const attrs = {};
+    const spans = tokenizer.lastAttrSpans || {};
+    for (const name of Object.keys(node.attrs || {})) {
+      const span = spans[name] || spans[name.toLowerCase()];
+      if (span) attrs[name] = this._source_span(span[0], span[1]);
+    }
+    node.sourceCodeLocation = { ...startTag, startTag, endTag: null, attrs };
+  }
+
+  _set_location_end(node, end) {
+    const location = node.sourceCodeLocation;
+    if (!location) return;
+    const [endLine, endColumn] = this.tokenizer.positionAt(end);
+    location.endOffset = end;
+    location.endLine = endLine;
+    location.endColumn = endColumn;
+  }
+
+  _record_closed_elements(before, token) {
+    if (!this.tokenizer) return;
+    const open = new Set(this.open_elements);
+    const [start, end] = this._current_token_span();
+    let name = token instanceof Tag && token.kind === Tag.END ? token.name : null;
+
+    // An end tag closes the innermost matching element; anything else popped was closed implicitly.
+    for (let index = before.length - 1; index >= 0; index -= 1) {
+      const node = before[index];
+      if (open.has(node) || !node.sourceCodeLocation) continue;
+      if (name != null && lowerAscii(node.name) === name) {
+        node.sourceCodeLocation.endTag = this._source_span(start, end);
+        this._set_location_end(node, end);
+        name = null;
+      } else {
+        this._set_location_end(node, start);
+      }
+    }
+  }
+
   // ---------------- Insertion helpers ----------------
 
   _append_comment_to_document(text) {
-    this.document.append_child(new Node("#comment", { data: text, namespace: null }));
+    const node = new Node("#comment", { data: text, namespace: null });
+    this._set_source_location(node);
+    this.document.append_child(node);
   }
 
   _append_comment(text, parent = null) {
     let target = parent;
     if (!target) target = this._current_node_or_html();
     if (isTemplateNode(target)) target = target.templateContent;
-    target.append_child(new Node("#comment", { data: text, namespace: null }));
+    const node = new Node("#comment", { data: text, namespace: null });
+    this._set_source_location(node);
+    target.append_child(node);
   }
 
-  _append_text(text) {
+  _append_text(text, span = null) {
     if (!text) return;
     if (this.ignore_lf) {
       this.ignore_lf = false;
@@ -2518,9 +2633,12 @@ export class TreeBuilder {
       const children = target.children;
       if (children.length && children[children.length - 1].name === "#text") {
         children[children.length - 1].data = (children[children.length - 1].data || "") + text;
+        this._extend_text_location(children[children.length - 1], span);
         return;
       }
-      target.append_child(new Node("#text", { data: text, namespace: null }));
+      const node = new Node("#text", { data: text, namespace: null });
+      this._set_source_location(node, span);
+      target.append_child(node);
       return;
     }
 
@@ -2531,10 +2649,13 @@ export class TreeBuilder {
     const [parent, position] = this._appropriate_insertion_location(null, { foster_parenting: foster });
     if (position > 0 && parent.children[position - 1]?.name === "#text") {
       parent.children[position - 1].data = (parent.children[position - 1].data || "") + text;
+      this._extend_text_location(parent.children[position - 1], span);
       return;
     }
 
-    this._insert_node_at(parent, position, new Node("#text", { data: text, namespace: null }));
+    const node = new Node("#text", { data: text, namespace: null });
+    this._set_source_location(node, span);
+    this._insert_node_at(parent, position, node);
   }
 
   _current_node_or_html() {
@@ -2545,15 +2666,18 @@ export class TreeBuilder {
     return this.document.children.length ? this.document.children[0] : null;
   }
 
-  _create_root(attrs) {
+  _create_root(attrs, source = null) {
     const node = new Node("html", { attrs: attrs || {}, namespace: "html" });
+    if (this.track_locations && source && source === this.current_token) this._set_element_location(node);
     this.document.append_child(node);
     this.open_elements.push(node);
     return node;
   }
 
-  _insert_element(tag, { push, namespace = "html" } = {}) {
+  _insert_element(tag, { push, namespace = "html", source = tag } = {}) {
     const node = new Node(tag.name, { attrs: tag.attrs || {}, namespace });
+    // Only elements created for the token being processed have a start tag in the source.
+    if (this.track_locations && source === this.current_token) this._set_element_location(node);
 
     if (!this.insert_from_table) {
       const target = this._current_node_or_html();
@@ -2963,15 +3087,15 @@ export class TreeBuilder {
     this.pending_table_text.length = 0;
     if (!data) return;
     if (isAllWhitespace(data)) {
-      this._append_text(data);
+      this._append_text(data, this.pending_table_text_span);
       return;
     }
-    this._parse_error("foster-parenting-character");
+    this._parse_error("foster-parenting-character", null, this.pending_table_text_span);
     const previous = this.insert_from_table;
     this.insert_from_table = true;
     try {
       this._reconstruct_active_formatting_elements();
-      this._append_text(data);
+      this._append_text(data, this.pending_table_text_span);
     } finally {
       this.insert_from_table = previous;
     }
@@ -3220,7 +3344,7 @@ export class TreeBuilder {
       if (namespace === "svg") adjustedName = this._adjust_svg_tag_name(token.name);
       const attrs = this._prepare_foreign_attributes(namespace, token.attrs);
       const newTag = new Tag(Tag.START, adjustedName, attrs, token.selfClosing);
-      this._insert_element(newTag, { push: !token.selfClosing, namespace });
+      this._insert_element(newTag, { push: !token.selfClosing, namespace, source: token });
       return null;
     }
 
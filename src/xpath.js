@@ -0,0 +1,878 @@
+export class XPathError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "XPathError";
+  }
+}
+
+const NAMESPACE_URIS = {
+  html: "http://www.w3.org/1999/xhtml",
+  svg: "http://www.w3.org/2000/svg",
+  math: "http://www.w3.org/1998/Math/MathML",
+};
+
+const AXES = new Set([
+  "ancestor",
+  "ancestor-or-self",
+  "attribute",
+  "child",
+  "descendant",
+  "descendant-or-self",
+  "following",
+  "following-sibling",
+  "namespace",
+  "parent",
+  "preceding",
+  "preceding-sibling",
+  "self",
+]);
+const NODE_TYPES = new Set(["comment", "text", "processing-instruction", "node"]);
+const OPERATOR_NAMES = new Set(["and", "or", "mod", "div"]);
+
+// Attribute nodes are not part of the Node tree, so evaluation creates one of these per attribute.
+class XPathAttribute {
+  constructor(name, value, ownerElement) {
+    this.name = name;
+    this.value = value;
+    this.ownerElement = ownerElement;
+  }
+}
+
+function isElement(node) {
+  if (node instanceof XPathAttribute) return false;
+  return typeof node.name === "string" && !node.name.startsWith("#") && node.name !== "!doctype";
+}
+
+function isNameStart(ch) {
+  return /[A-Za-z_]/.test(ch) || ch.charCodeAt(0) > 127;
+}
+
+function isNameChar(ch) {
+  return isNameStart(ch) || /[0-9.-]/.test(ch);
+}
+
+// Splits an expression into tokens, applying the spec's rule for telling `*` and operator names
+// apart from name tests: after anything but an operator or one of @ :: ( [ , they are operators.
+function tokenize(expression) {
+  const tokens = [];
+  let pos = 0;
+
+  const operatorContext = () => {
+    const prev = tokens[tokens.length - 1];
+    if (!prev) return false;
+    if (prev.type === "operator") return false;
+    return !["@", "::", "(", "[", ","].includes(prev.type);
+  };
+
+  const readName = () => {
+    const start = pos;
+    while (pos < expression.length && isNameChar(expression[pos])) pos += 1;
+    return expression.slice(start, pos);
+  };
+
+  const nextNonSpace = () => {
+    let i = pos;
+    while (i < expression.length && /\s/.test(expression[i])) i += 1;
+    return i;
+  };
+
+  while (pos < expression.length) {
+    const ch = expression[pos];
+    const next = expression[pos + 1];
+
+    if (/\s/.test(ch)) {
+      pos += 1;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      const end = expression.indexOf(ch, pos + 1);
+      if (end === -1) throw new XPathError(`Unterminated string literal at position ${pos}`);
+      tokens.push({ type: "literal", value: expression.slice(pos + 1, end) });
+      pos = end + 1;
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(next ?? ""))) {
+      const match = /^[0-9]*(\.[0-9]*)?/.exec(expression.slice(pos));
+      tokens.push({ type: "number", value: Number(match[0]) });
+      pos += match[0].length;
+      continue;
+    }
+
+    if (ch === "." && next === ".") {
+      tokens.push({ type: ".." });
+      pos += 2;
+      continue;
+    }
+
+    if ("()[].@,".includes(ch)) {
+      tokens.push({ type: ch });
+      pos += 1;
+      continue;
+    }
+
+    if (ch === ":" && next === ":") {
+      tokens.push({ type: "::" });
+      pos += 2;
+      continue;
+    }
+
+    if (ch === "$") {
+      pos += 1;
+      const name = readName();
+      if (!name) throw new XPathError(`Expected variable name at position ${pos}`);
+      tokens.push({ type: "variable", value: name });
+      continue;
+    }
+
+    if (ch === "*") {
+      pos += 1;
+      tokens.push(operatorContext() ? { type: "operator", value: "*" } : { type: "name", value: "*" });
+      continue;
+    }
+
+    const two = expression.slice(pos, pos + 2);
+    if (two === "//" || two === "!=" || two === "<=" || two === ">=") {
+      tokens.push({ type: "operator", value: two });
+      pos += 2;
+      continue;
+    }
+    if ("/|+-=<>".includes(ch)) {
+      tokens.push({ type: "operator", value: ch });
+      pos += 1;
+      continue;
+    }
+
+    if (isNameStart(ch)) {
+      let name = readName();
+      if (operatorContext()) {
+        if (!OPERATOR_NAMES.has(name)) throw new XPathError(`Expected an operator, got ${JSON.stringify(name)}`);
+        tokens.push({ type: "operator", value: name });
+        continue;
+      }
+
+      if (expression[pos] === ":" && expression[pos + 1] !== ":") {
+        pos += 1;
+        if (expression[pos] === "*") {
+          pos += 1;
+          name += ":*";
+        } else {
+          const local = readName();
+          if (!local) throw new XPathError(`Expected local name after ${name}: at position ${pos}`);
+          name += `:${local}`;
+        }
+      }
+
+      const after = nextNonSpace();
+      if (expression[after] === "(") {
+        tokens.push({ type: NODE_TYPES.has(name) ? "nodetype" : "function", value: name });
+      } else if (expression.startsWith("::", after)) {
+        if (!AXES.has(name)) throw new XPathError(`Unknown axis: ${name}`);
+        tokens.push({ type: "axis", value: name });
+      } else {
+        tokens.push({ type: "name", value: name });
+      }
+      continue;
+    }
+
+    throw new XPathError(`Unexpected character ${JSON.stringify(ch)} at position ${pos}`);
+  }
+
+  return tokens;
+}
+
+// A recursive descent parser for the XPath 1.0 grammar, producing plain-object ASTs.
+
+class XPathParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  _peek(offset = 0) {
+    return this.tokens[this.pos + offset] ?? { type: "eof" };
+  }
+
+  _isOperator(value) {
+    const token = this._peek();
+    return token.type === "operator" && token.value === value;
+  }
+
+  _expect(type) {
+    const token = this._peek();
+    if (token.type !== type) throw new XPathError(`Expected ${type}, got ${describeToken(token)}`);
+    this.pos += 1;
+    return token;
+  }
+
+  parse() {
+    const expr = this._parseOr();
+    if (this._peek().type !== "eof") throw new XPathError(`Unexpected ${describeToken(this._peek())}`);
+    return expr;
+  }
+
+  _parseBinary(next, operators) {
+    let left = next();
+    while (this._peek().type === "operator" && operators.includes(this._peek().value)) {
+      const op = this._peek().value;
+      this.pos += 1;
+      left = { type: "binary", op, left, right: next() };
+    }
+    return left;
+  }
+
+  _parseOr() {
+    return this._parseBinary(() => this._parseAnd(), ["or"]);
+  }
+
+  _parseAnd() {
+    return this._parseBinary(() => this._parseEquality(), ["and"]);
+  }
+
+  _parseEquality() {
+    return this._parseBinary(() => this._parseRelational(), ["=", "!="]);
+  }
+
+  _parseRelational() {
+    return this._parseBinary(() => this._parseAdditive(), ["<", "<=", ">", ">="]);
+  }
+
+  _parseAdditive() {
+    return this._parseBinary(() => this._parseMultiplicative(), ["+", "-"]);
+  }
+
+  _parseMultiplicative() {
+    return this._parseBinary(() => this._parseUnary(), ["*", "div", "mod"]);
+  }
+
+  _parseUnary() {
+    if (this._isOperator("-")) {
+      this.pos += 1;
+      return { type: "negate", expr: this._parseUnary() };
+    }
+    return this._parseUnion();
+  }
+
+  _parseUnion() {
+    return this._parseBinary(() => this._parsePath(), ["|"]);
+  }
+
+  _parsePath() {
+    const token = this._peek();
+    const startsFilter = ["variable", "(", "literal", "number", "function"].includes(token.type);
+    if (!startsFilter) return this._parseLocationPath();
+
+    let expr = this._parsePrimary();
+    const predicates = this._parsePredicates();
+    if (predicates.length) expr = { type: "filter", expr, predicates };
+
+    if (this._isOperator("/") || this._isOperator("//")) {
+      const steps = [];
+      this._parseRelativePath(steps);
+      return { type: "path", start: expr, absolute: false, steps };
+    }
+    return expr;
+  }
+
+  _parsePrimary() {
+    const token = this._peek();
+    this.pos += 1;
+    if (token.type === "variable") return { type: "variable", name: token.value };
+    if (token.type === "literal") return { type: "literal", value: token.value };
+    if (token.type === "number") return { type: "number", value: token.value };
+    if (token.type === "(") {
+      const expr = this._parseOr();
+      this._expect(")");
+      return expr;
+    }
+
+    this._expect("(");
+    const args = [];
+    if (this._peek().type !== ")") {
+      args.push(this._parseOr());
+      while (this._peek().type === ",") {
+        this.pos += 1;
+        args.push(this._parseOr());
+      }
+    }
+    this._expect(")");
+    return { type: "call", name: token.value, args };
+  }
+
+  _parsePredicates() {
+    const predicates = [];
+    while (this._peek().type === "[") {
+      this.pos += 1;
+      predicates.push(this._parseOr());
+      this._expect("]");
+    }
+    return predicates;
+  }
+
+  _parseLocationPath() {
+    const steps = [];
+    if (this._isOperator("/")) {
+      this.pos += 1;
+      if (this._startsStep()) this._parseStepsFrom(steps);
+      return { type: "path", start: null, absolute: true, steps };
+    }
+    if (this._isOperator("//")) {
+      this._parseRelativePath(steps);
+      return { type: "path", start: null, absolute: true, steps };
+    }
+    this._parseStepsFrom(steps);
+    return { type: "path", start: null, absolute: false, steps };
+  }
+
+  // Parses ('/' | '//') Step, repeatedly; '//' is short for /descendant-or-self::node()/.
+  _parseRelativePath(steps) {
+    while (this._isOperator("/") || this._isOperator("//")) {
+      if (this._peek().value === "//") steps.push(DESCENDANT_OR_SELF_STEP);
+      this.pos += 1;
+      steps.push(this._parseStep());
+    }
+  }
+
+  _parseStepsFrom(steps) {
+    steps.push(this._parseStep());
+    this._parseRelativePath(steps);
+  }
+
+  _startsStep() {
+    return ["name", "nodetype", "axis", "@", ".", ".."].includes(this._peek().type);
+  }
+
+  _parseStep() {
+    const token = this._peek();
+    if (token.type === ".") {
+      this.pos += 1;
+      return { axis: "self", test: { kind: "node" }, predicates: [] };
+    }
+    if (token.type === "..") {
+      this.pos += 1;
+      return { axis: "parent", test: { kind: "node" }, predicates: [] };
+    }
+
+    let axis = "child";
+    if (token.type === "@") {
+      this.pos += 1;
+      axis = "attribute";
+    } else if (token.type === "axis") {
+      this.pos += 2;
+      axis = token.value;
+    }
+
+    const test = this._parseNodeTest();
+    return { axis, test, predicates: this._parsePredicates() };
+  }
+
+  _parseNodeTest() {
+    const token = this._peek();
+    if (token.type === "name") {
+      this.pos += 1;
+      return { kind: "name", name: token.value };
+    }
+    if (token.type === "nodetype") {
+      this.pos += 1;
+      this._expect("(");
+      let target = null;
+      if (token.value === "processing-instruction" && this._peek().type === "literal") {
+        target = this._expect("literal").value;
+      }
+      this._expect(")");
+      return { kind: token.value, target };
+    }
+    throw new XPathError(`Expected a node test, got ${describeToken(token)}`);
+  }
+}
+
+const DESCENDANT_OR_SELF_STEP = { axis: "descendant-or-self", test: { kind: "node" }, predicates: [] };
+
+function describeToken(token) {
+  if (token.type === "eof") return "end of expression";
+  if (token.value !== undefined) return JSON.stringify(String(token.value));
+  return JSON.stringify(token.type);
+}
+
+// Document order, parents (template contents hang off their <template>) and attribute nodes for one tree.
+
+class XPathTree {
+  constructor(top) {
+    this.top = top;
+    this.order = new Map();
+    this.parents = new Map();
+    this.childLists = new Map();
+    this.attributeLists = new Map();
+    this._index(top, null);
+  }
+
+  _index(node, parent) {
+    this.order.set(node, this.order.size);
+    if (parent) this.parents.set(node, parent);
+
+    if (isElement(node)) {
+      const attributes = Object.entries(node.attrs || {}).map(([name, value]) => new XPathAttribute(name, value, node));
+      for (const attribute of attributes) {
+        this.order.set(attribute, this.order.size);
+        this.parents.set(attribute, node);
+      }
+      this.attributeLists.set(node, attributes);
+    }
+
+    let children = (node.children || []).filter((child) => child.name !== "!doctype");
+    const templateContent = node.templateContent ?? null;
+    if (templateContent) children = children.concat(templateContent.children);
+    this.childLists.set(node, children);
+    for (const child of children) this._index(child, node);
+  }
+
+  children(node) {
+    return this.childLists.get(node) ?? [];
+  }
+
+  parent(node) {
+    return this.parents.get(node) ?? null;
+  }
+
+  attributes(node) {
+    return this.attributeLists.get(node) ?? [];
+  }
+
+  sort(nodes) {
+    const unique = [...new Set(nodes)];
+    return unique.sort((a, b) => (this.order.get(a) ?? -1) - (this.order.get(b) ?? -1));
+  }
+
+  descendants(node, out = []) {
+    for (const child of this.children(node)) {
+      out.push(child);
+      this.descendants(child, out);
+    }
+    return out;
+  }
+
+  // Nodes along an axis in the order predicates count them: reverse axes (ancestor, preceding...) nearest first.
+  axis(node, axis) {
+    if (axis === "child") return this.children(node);
+    if (axis === "attribute") return this.attributes(node);
+    if (axis === "self") return [node];
+    if (axis === "namespace") return [];
+    if (axis === "descendant") return node instanceof XPathAttribute ? [] : this.descendants(node);
+    if (axis === "descendant-or-self") return node instanceof XPathAttribute ? [node] : this.descendants(node, [node]);
+
+    if (axis === "parent") {
+      const parent = this.parent(node);
+      return parent ? [parent] : [];
+    }
+    if (axis === "ancestor" || axis === "ancestor-or-self") {
+      const out = axis === "ancestor-or-self" ? [node] : [];
+      for (let current = this.parent(node); current; current = this.parent(current)) out.push(current);
+      return out;
+    }
+
+    if (axis === "following-sibling" || axis === "preceding-sibling") {
+      const parent = this.parent(node);
+      if (!parent || node instanceof XPathAttribute) return [];
+      const siblings = this.children(parent);
+      const index = siblings.indexOf(node);
+      return axis === "following-sibling" ? siblings.slice(index + 1) : siblings.slice(0, index).reverse();
+    }
+
+    // following and preceding: everything after/before node in document order, minus descendants/ancestors.
+    const start = node instanceof XPathAttribute ? this.parent(node) : node;
+    const all = this.descendants(this.top, [this.top]);
+    const position = all.indexOf(start);
+    if (axis === "following") {
+      const skip = node instanceof XPathAttribute ? 0 : this.descendants(start).length;
+      return all.slice(position + 1 + skip);
+    }
+    const ancestors = new Set(this.axis(start, "ancestor"));
+    return all
+      .slice(0, position)
+      .filter((candidate) => !ancestors.has(candidate))
+      .reverse();
+  }
+}
+
+function stringValue(tree, node) {
+  if (node instanceof XPathAttribute) return String(node.value ?? "");
+  if (node.name === "#text" || node.name === "#comment") return String(node.data ?? "");
+  return tree
+    .descendants(node)
+    .filter((child) => child.name === "#text")
+    .map((child) => child.data ?? "")
+    .join("");
+}
+
+function numberToString(value) {
+  if (Number.isNaN(value)) return "NaN";
+  if (value === Infinity) return "Infinity";
+  if (value === -Infinity) return "-Infinity";
+  if (Object.is(value, -0)) return "0";
+  const text = String(value);
+  if (!text.includes("e")) return text;
+  return value.toLocaleString("en-US", { useGrouping: false, maximumFractionDigits: 20 });
+}
+
+function stringToNumber(text) {
+  const trimmed = text.replace(/^[\t\n\r ]+|[\t\n\r ]+$/g, "");
+  return /^-?([0-9]+(\.[0-9]*)?|\.[0-9]+)$/.test(trimmed) ? Number(trimmed) : NaN;
+}
+
+function toStringValue(tree, value) {
+  if (Array.isArray(value)) return value.length ? stringValue(tree, value[0]) : "";
+  if (typeof value === "number") return numberToString(value);
+  if (typeof value === "boolean") return value ? "true" : "false";
+  return value;
+}
+
+function toNumber(tree, value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  return stringToNumber(toStringValue(tree, value));
+}
+
+function toBoolean(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === "number") return value !== 0 && !Number.isNaN(value);
+  if (typeof value === "string") return value.length > 0;
+  return value;
+}
+
+function compareAtoms(op, a, b) {
+  if (op === "=") return a === b;
+  if (op === "!=") return a !== b;
+  if (op === "<") return a < b;
+  if (op === "<=") return a <= b;
+  if (op === ">") return a > b;
+  return a >= b;
+}
+
+const REVERSED_OPERATORS = { "<": ">", "<=": ">=", ">": "<", ">=": "<=", "=": "=", "!=": "!=" };
+
+function compare(tree, op, left, right) {
+  const relational = op !== "=" && op !== "!=";
+
+  if (Array.isArray(left) && Array.isArray(right)) {
+    const rightStrings = right.map((node) => stringValue(tree, node));
+    return left.some((node) => {
+      const value = stringValue(tree, node);
+      return rightStrings.some((other) =>
+        relational ? compareAtoms(op, stringToNumber(value), stringToNumber(other)) : compareAtoms(op, value, other)
+      );
+    });
+  }
+
+  if (Array.isArray(right)) return compare(tree, REVERSED_OPERATORS[op], right, left);
+
+  if (Array.isArray(left)) {
+    if (typeof right === "boolean") return compareAtoms(op, toNumber(tree, toBoolean(left)), toNumber(tree, right));
+    return left.some((node) => {
+      const value = stringValue(tree, node);
+      if (typeof right === "string" && !relational) return compareAtoms(op, value, right);
+      return compareAtoms(op, stringToNumber(value), toNumber(tree, right));
+    });
+  }
+
+  if (relational) return compareAtoms(op, toNumber(tree, left), toNumber(tree, right));
+  if (typeof left === "boolean" || typeof right === "boolean") {
+    return compareAtoms(op, toBoolean(left), toBoolean(right));
+  }
+  if (typeof left === "number" || typeof right === "number") {
+    return compareAtoms(op, toNumber(tree, left), toNumber(tree, right));
+  }
+  return compareAtoms(op, left, right);
+}
+
+function nodeName(node) {
+  if (node instanceof XPathAttribute || isElement(node)) return node.name;
+  return "";
+}
+
+function localName(node) {
+  const name = nodeName(node);
+  return name.includes(":") ? name.slice(name.indexOf(":") + 1) : name;
+}
+
+function namespaceURI(node) {
+  if (!isElement(node)) return "";
+  return NAMESPACE_URIS[node.namespace ?? "html"] ?? "";
+}
+
+// Element name tests ignore case on HTML elements, like XPath in browsers' HTML documents. A prefix of html, svg
+// or math selects that namespace; other prefixed names (such as xlink:href) are matched as written.
+function matchesNameTest(node, axis, name) {
+  const principal = axis === "attribute" ? node instanceof XPathAttribute : isElement(node);
+  if (!principal) return false;
+  if (name === "*") return true;
+
+  if (axis === "attribute") {
+    if (name.endsWith(":*")) return node.name.startsWith(name.slice(0, -1));
+    return node.name === name;
+  }
+
+  const colon = name.indexOf(":");
+  const prefix = colon === -1 ? null : name.slice(0, colon);
+  if (prefix && Object.hasOwn(NAMESPACE_URIS, prefix)) {
+    if ((node.namespace ?? "html") !== prefix) return false;
+    const local = name.slice(colon + 1);
+    return local === "*" || node.name === local || (prefix === "html" && node.name === local.toLowerCase());
+  }
+  if ((node.namespace ?? "html") === "html") return node.name === name.toLowerCase();
+  return node.name === name;
+}
+
+function matchesNodeTest(node, axis, test) {
+  if (test.kind === "name") return matchesNameTest(node, axis, test.name);
+  if (test.kind === "node") return true;
+  if (test.kind === "text") return node.name === "#text";
+  if (test.kind === "comment") return node.name === "#comment";
+  return false;
+}
+
+function filterByPredicates(context, nodes, predicates) {
+  let current = nodes;
+  for (const predicate of predicates) {
+    const size = current.length;
+    current = current.filter((node, index) => {
+      const result = evaluate(predicate, { ...context, node, position: index + 1, size });
+      if (typeof result === "number") return result === index + 1;
+      return toBoolean(result);
+    });
+  }
+  return current;
+}
+
+function evaluateStep(context, nodes, step) {
+  const out = [];
+  for (const node of nodes) {
+    const candidates = context.tree.axis(node, step.axis).filter((c) => matchesNodeTest(c, step.axis, step.test));
+    out.push(...filterByPredicates(context, candidates, step.predicates));
+  }
+  return context.tree.sort(out);
+}
+
+function evaluatePath(context, expr) {
+  let nodes;
+  if (expr.start) {
+    nodes = evaluate(expr.start, context);
+    if (!Array.isArray(nodes)) throw new XPathError("Path steps can only follow a node-set");
+  } else {
+    nodes = [expr.absolute ? context.tree.top : context.node];
+  }
+  for (const step of expr.steps) nodes = evaluateStep(context, nodes, step);
+  return nodes;
+}
+
+function evaluate(expr, context) {
+  const { tree } = context;
+  switch (expr.type) {
+    case "literal":
+    case "number":
+      return expr.value;
+    case "variable": {
+      if (!Object.hasOwn(context.variables, expr.name)) throw new XPathError(`Unknown variable: $${expr.name}`);
+      const value = context.variables[expr.name];
+      return Array.isArray(value) ? tree.sort(value) : value;
+    }
+    case "negate":
+      return -toNumber(tree, evaluate(expr.expr, context));
+    case "path":
+      return evaluatePath(context, expr);
+    case "filter": {
+      const nodes = evaluate(expr.expr, context);
+      if (!Array.isArray(nodes)) throw new XPathError("Predicates can only filter a node-set");
+      return filterByPredicates(context, nodes, expr.predicates);
+    }
+    case "call":
+      return callFunction(context, expr);
+    default:
+      return evaluateBinary(expr, context);
+  }
+}
+
+function evaluateBinary(expr, context) {
+  const { tree } = context;
+  const { op } = expr;
+
+  if (op === "or") return toBoolean(evaluate(expr.left, context)) || toBoolean(evaluate(expr.right, context));
+  if (op === "and") return toBoolean(evaluate(expr.left, context)) && toBoolean(evaluate(expr.right, context));
+
+  const left = evaluate(expr.left, context);
+  const right = evaluate(expr.right, context);
+
+  if (op === "|") {
+    if (!Array.isArray(left) || !Array.isArray(right)) throw new XPathError("The | operator needs node-sets");
+    return tree.sort([...left, ...right]);
+  }
+  if (["=", "!=", "<", "<=", ">", ">="].includes(op)) return compare(tree, op, left, right);
+
+  const a = toNumber(tree, left);
+  const b = toNumber(tree, right);
+  if (op === "+") return a + b;
+  if (op === "-") return a - b;
+  if (op === "*") return a * b;
+  if (op === "div") return a / b;
+  return a % b;
+}
+
+// XPath round(): halves go up, and results in [-0.5, 0) are -0.
+function round(value) {
+  if (!Number.isFinite(value)) return value;
+  if (value < 0 && value >= -0.5) return -0;
+  return Math.floor(value + 0.5);
+}
+
+function substring(text, start, length) {
+  const chars = [...text];
+  const first = round(start);
+  const last = length === undefined ? Infinity : first + round(length);
+  return chars.filter((_, i) => i + 1 >= first && i + 1 < last).join("");
+}
+
+const FUNCTIONS = {
+  last: [0, 0, (context) => context.size],
+  position: [0, 0, (context) => context.position],
+  count: [1, 1, (context, nodes) => nodeSetArg(nodes, "count").length],
+  id: [
+    1,
+    1,
+    (context, value) => {
+      const text = Array.isArray(value)
+        ? value.map((node) => stringValue(context.tree, node)).join(" ")
+        : str(context, value);
+      const ids = new Set(text.split(/[\t\n\r ]+/).filter(Boolean));
+      const all = context.tree.descendants(context.tree.top);
+      return all.filter((node) => isElement(node) && ids.has(String(node.attrs?.id ?? "")));
+    },
+  ],
+  "local-name": [0, 1, (context, nodes) => firstNode(context, nodes, localName)],
+  "namespace-uri": [0, 1, (context, nodes) => firstNode(context, nodes, namespaceURI)],
+  name: [0, 1, (context, nodes) => firstNode(context, nodes, nodeName)],
+  string: [0, 1, (context, value) => toStringValue(context.tree, value === undefined ? [context.node] : value)],
+  concat: [2, Infinity, (context, ...values) => values.map((value) => toStringValue(context.tree, value)).join("")],
+  "starts-with": [2, 2, (context, a, b) => str(context, a).startsWith(str(context, b))],
+  contains: [2, 2, (context, a, b) => str(context, a).includes(str(context, b))],
+  "substring-before": [
+    2,
+    2,
+    (context, a, b) => {
+      const [text, search] = [str(context, a), str(context, b)];
+      const index = text.indexOf(search);
+      return index === -1 ? "" : text.slice(0, index);
+    },
+  ],
+  "substring-after": [
+    2,
+    2,
+    (context, a, b) => {
+      const [text, search] = [str(context, a), str(context, b)];
+      const index = text.indexOf(search);
+      return index === -1 ? "" : text.slice(index + search.length);
+    },
+  ],
+  substring: [
+    2,
+    3,
+    (context, text, start, length) =>
+      substring(
+        str(context, text),
+        toNumber(context.tree, start),
+        length === undefined ? undefined : toNumber(context.tree, length)
+      ),
+  ],
+  "string-length": [0, 1, (context, value) => [...str(context, value ?? [context.node])].length],
+  "normalize-space": [
+    0,
+    1,
+    (context, value) =>
+      str(context, value ?? [context.node])
+        .split(/[\t\n\r ]+/)
+        .filter(Boolean)
+        .join(" "),
+  ],
+  translate: [
+    3,
+    3,
+    (context, text, from, to) => {
+      const [source, map, replacement] = [[...str(context, text)], [...str(context, from)], [...str(context, to)]];
+      return source
+        .map((ch) => {
+          const index = map.indexOf(ch);
+          if (index === -1) return ch;
+          return index < replacement.length ? replacement[index] : "";
+        })
+        .join("");
+    },
+  ],
+  boolean: [1, 1, (context, value) => toBoolean(value)],
+  not: [1, 1, (context, value) => !toBoolean(value)],
+  true: [0, 0, () => true],
+  false: [0, 0, () => false],
+  lang: [
+    1,
+    1,
+    (context, value) => {
+      const wanted = str(context, value).toLowerCase();
+      for (let node = context.node; node; node = context.tree.parent(node)) {
+        if (!isElement(node)) continue;
+        const attrs = node.attrs || {};
+        const lang = Object.hasOwn(attrs, "xml:lang") ? attrs["xml:lang"] : attrs.lang;
+        if (lang == null) continue;
+        const language = String(lang).toLowerCase();
+        return language === wanted || language.startsWith(`${wanted}-`);
+      }
+      return false;
+    },
+  ],
+  number: [0, 1, (context, value) => toNumber(context.tree, value === undefined ? [context.node] : value)],
+  sum: [
+    1,
+    1,
+    (context, nodes) =>
+      nodeSetArg(nodes, "sum").reduce((total, node) => total + stringToNumber(stringValue(context.tree, node)), 0),
+  ],
+  floor: [1, 1, (context, value) => Math.floor(toNumber(context.tree, value))],
+  ceiling: [1, 1, (context, value) => Math.ceil(toNumber(context.tree, value))],
+  round: [1, 1, (context, value) => round(toNumber(context.tree, value))],
+};
+
+function nodeSetArg(value, name) {
+  if (!Array.isArray(value)) throw new XPathError(`${name}() expects a node-set`);
+  return value;
+}
+
+function firstNode(context, nodes, read) {
+  const list = nodes === undefined ? [context.node] : nodeSetArg(nodes, "name");
+  return list.length ? read(list[0]) : "";
+}
+
+function str(context, value) {
+  return toStringValue(context.tree, value);
+}
+
+function callFunction(context, expr) {
+  const entry = FUNCTIONS[expr.name];
+  if (!entry) throw new XPathError(`Unknown function: ${expr.name}()`);
+  const [min, max, fn] = entry;
+  if (expr.args.length < min || expr.args.length > max) {
+    throw new XPathError(`Wrong number of arguments to ${expr.name}(): ${expr.args.length}`);
+  }
+  return fn(context, ...expr.args.map((arg) => evaluate(arg, context)));
+}
+
+function parseXPath(expression) {
+  if (typeof expression !== "string" || !expression.trim()) throw new XPathError("Empty XPath expression");
+  return new XPathParser(tokenize(expression)).parse();
+}
+
+// Evaluates an XPath 1.0 expression with root as the context node. Node-sets come back as arrays in document
+// order (attributes as { name, value, ownerElement }); strings, numbers and booleans come back as they are.
+export function xpath(root, expression, { variables = {} } = {}) {
+  const ast = parseXPath(expression);
+  let top = root;
+  while (top.parent) top = top.parent;
+  const tree = new XPathTree(top);
+  return evaluate(ast, { tree, node: root, position: 1, size: 1, variables });
+}